@@ -1,13 +1,13 @@
 /* ==========================================================
    script.js — StreetVendor Marketplace (frontend demo)
    Features:
-   - Role-based login (customer/vendor)
+   - Role-based login (customer/vendor) with OTP/PIN verification and sessions
    - Demo data population
    - Multi-vendor catalogs, products, favorites
    - Cart, checkout, schedule orders
    - Vendor order management (accept/complete)
    - Geolocation & proximity notifications
-   - localStorage persistence
+   - IndexedDB persistence (localStorage fallback), live sync between tabs
    ========================================================== */
 
 (function () {
@@ -18,9 +18,11 @@
      ------------------------- */
 
   const STORAGE_KEY = 'sv_data_v1';
+  const SCHEMA_VERSION = 5; // bump together with a new entry in MIGRATIONS
   const SETTINGS_KEY = 'sv_settings_v1';
   const DEMO_FLAG = 'sv_demo_loaded';
   const DEFAULT_RADIUS_KM = 1.0;
+  const DEFAULT_LOW_STOCK_AT = 3; // warn the vendor when a tracked product drops to this many
 
   function nowIso() {
     return new Date().toISOString();
@@ -56,53 +58,173 @@
     return null;
   }
 
+  /* -------------------------
+     Safe HTML
+     ------------------------- */
+
+  // Markup only reaches the page through setHtml(el, html`...`). Values interpolated into html``
+  // are escaped unless they are html`` results themselves (or arrays of them), so a product
+  // called <img onerror=...> shows up as text instead of running.
+  const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;', '`': '&#96;' };
+
+  class SafeHtml {
+    constructor(text) {
+      this.text = text;
+    }
+
+    toString() {
+      return this.text;
+    }
+  }
+
+  function escapeHtml(value) {
+    return String(value).replace(/[&<>"'`]/g, ch => HTML_ESCAPES[ch]);
+  }
+
+  function htmlValue(value) {
+    if (value instanceof SafeHtml) return value.text;
+    if (Array.isArray(value)) return value.map(htmlValue).join('');
+    if (value === null || value === undefined || value === false) return '';
+    return escapeHtml(value);
+  }
+
+  function html(strings, ...values) {
+    let out = strings[0];
+    values.forEach((value, i) => {
+      out += htmlValue(value) + strings[i + 1];
+    });
+    return new SafeHtml(out);
+  }
+
+  // plain strings are set as text, so forgetting html`` can't open a hole
+  function setHtml(el, markup) {
+    if (markup instanceof SafeHtml) el.innerHTML = markup.text;
+    else el.textContent = String(markup);
+  }
+
+  // Free text is also cleaned where it's entered, since it's stored, synced and shown to other people
+  const TEXT_LIMITS = { name: 60, desc: 240, note: 140 };
+
+  // one line of text: control characters and runs of whitespace collapse to a space, length capped
+  function cleanText(value, maxLength = TEXT_LIMITS.name) {
+    if (value === null || value === undefined) return '';
+    return String(value).replace(/[\u0000-\u001f\u007f\s]+/g, ' ').trim().slice(0, maxLength);
+  }
+
+  // Image sources: http(s) links and inline raster images only. '' stays '', anything else is null
+  function cleanImageUrl(value) {
+    const url = String(value || '').trim();
+    if (!url) return '';
+    if (/^data:image\/(png|jpe?g|gif|webp);base64,[a-z0-9+/=]+$/i.test(url)) return url;
+    try {
+      const parsed = new URL(url);
+      return parsed.protocol === 'https:' || parsed.protocol === 'http:' ? parsed.href : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
   /* -------------------------
      Default App State Model
      ------------------------- */
 
   let state = {
-    users: {}, // userId -> { id, name, phone, role, category? }
+    schemaVersion: SCHEMA_VERSION,
+    users: {}, // userId -> { id, name, phone, role, category?, sessionsRevokedAt?, auth?: { pin?, failedAttempts, lockedUntil } (this device only) } — see Sign-in & Sessions
     currentUserId: null,
-    vendors: {}, // vendorId -> { id, userId, name, category, location:{lat,lng}, active, products: [productId], orders: [orderId], meta }
-    products: {}, // productId -> { id, vendorId, name, price, desc, img }
-    orders: {}, // orderId -> { id, customerId, vendorId, items: [{productId, qty}], schedule: ISO/null, status: pending/accepted/completed/cancelled, createdAt, meta }
-    favorites: {}, // userId -> Set(vendorId)
+    vendors: {}, // vendorId -> { id, userId, name, category, location:{lat,lng}, active, products: [productId], orders: [orderId], reviews: [reviewId], meta, contactPhone, photo, pricing?: { delivery, minOrder, freeDeliveryOver, taxRatePercent }, dutyLog: [{active, at}], hours: null | { weekly: {0-6: [{open, close}]}, closures: ['YYYY-MM-DD'] } }
+    products: {}, // productId -> { id, vendorId, name, price, desc, img, stock: number|null (null = unlimited), lowStockAt, unavailableUntil? }
+    orders: {}, // orderId -> { id, customerId, vendorId, items: [{productId, qty, name, price, note?}], schedule: ISO/null, status: pending/accepted/ready/completed/cancelled/rejected, history: [{status, at, by, reason?}], pricing: { fulfilment, subtotal, discount: null | {promoId, code, label, amount}, distanceKm, deliveryFee, taxRate, tax, total }, payment: { method: cash/upi, status: unpaid/paid/refunded, paidAt, refundedAt, reference, history: [{status, at, by}] }, createdAt, meta, reviewId? }
+    reviews: {}, // reviewId -> { id, orderId, vendorId, customerId, rating: 1-5, text, createdAt }
+    promos: {}, // promoId -> { id, vendorId, label, code, type: percent/flat/bogo, value, buyProductId?, buyQty?, getProductId?, getQty?, window: null | {from, to}, firstOrderOnly, perCustomerLimit, active, createdAt }
+    jobs: {}, // jobId -> { id, type: order-due/order-reminder, orderId, runAt, createdAt, firedAt, cancelledAt, skipped?, audience? }
+    popularity: null, // { vendors: {vendorId -> {score, updatedAt}}, products: {...}, customers: {vendorId -> {userId -> completedCount}} }, rebuilt from orders if missing
+    favorites: {}, // userId -> [vendorId]
+    carts: {}, // customerId -> { items: [{productId, vendorId, qty, name, price, note}], fulfilment: pickup/delivery, payment: cash/upi, codes: [promo code], notices: [string], updatedAt } — this device only
+    notifications: {}, // userId -> { items: [{ id, type: order/new-order/reminder/nearby/left, title, body, orderId, vendorId, status, at, read }], updatedAt } — this device only
     recentActivity: [], // array strings
+    quarantine: {}, // collection -> { id -> { record, reason, at } } — malformed records set aside on load
+    sync: { rev: 0, outbox: [] }, // sync server bookkeeping, see Data Access & Sync
   };
 
   let settings = {
     proximityRadiusKm: DEFAULT_RADIUS_KM,
     notificationMode: 'popup', // 'popup' or 'browser'
+    apiBaseUrl: '', // sync server, e.g. http://192.168.1.10:8787 ('' = this device only)
+    otpProvider: '', // key in otpProviders that delivers one-time sign-in codes ('' = the first registered)
+    vendorReminderMinutes: 15, // remind the vendor this long before a scheduled order (0 = off)
+    trackLocationUsers: {}, // userId -> true: customers who turned on live location here; resumed when they sign in
   };
 
   /* -------------------------
      Storage Functions
      ------------------------- */
 
-  function loadState() {
+  // Problems found while loading, surfaced by ui.renderStorageNotice():
+  // { kind: 'corrupt' | 'newer' | 'repaired', message, backupKey?, report? }
+  let storageIssue = null;
+  // set when the saved data comes from a newer app version, so we never overwrite it
+  let storageReadOnly = false;
+
+  // Pick the storage backend, load and upgrade whatever it holds. Async because IndexedDB is.
+  async function loadState() {
+    storageIssue = null;
+    storageReadOnly = false;
+    persisted = null;
+    storage = await pickStorageAdapter();
+
+    let payload = null;
+    let legacyRaw = null;
     try {
-      const raw = localStorage.getItem(STORAGE_KEY);
-      if (raw) {
-        const parsed = JSON.parse(raw);
-        // shallow merge so we keep new shape compatibility
-        state = Object.assign(state, parsed);
+      payload = await storage.load();
+      // first run on IndexedDB: bring over what the old single-key localStorage save holds
+      if (!payload && storage.name === 'indexeddb') {
+        legacyRaw = localStorage.getItem(STORAGE_KEY);
+        if (legacyRaw !== null) payload = parseStoredJson(legacyRaw);
       }
     } catch (e) {
-      console.warn('Failed to load state', e);
+      const raw = e.raw !== undefined ? e.raw : null;
+      storageIssue = {
+        kind: 'corrupt',
+        message: `Saved data could not be loaded (${e.message}).`,
+        backupKey: raw !== null ? keepCorruptCopy(raw) : null,
+      };
+      payload = null;
+    }
+
+    if (payload) {
+      try {
+        const { data, report } = upgradeState(payload);
+        state = Object.assign(state, data);
+        if (report.repaired || report.quarantined) {
+          storageIssue = { kind: 'repaired', report, message: `Saved data had problems: ${report.repaired} record(s) repaired, ${report.quarantined} set aside.` };
+        }
+        if (legacyRaw === null) persisted = snapshotState(state);
+      } catch (e) {
+        if (e.code === 'NEWER_SCHEMA') {
+          storageReadOnly = true;
+          storageIssue = { kind: 'newer', message: e.message, rawText: legacyRaw || JSON.stringify(payload) };
+        } else {
+          storageIssue = { kind: 'corrupt', message: `Saved data could not be loaded (${e.message}).`, backupKey: keepCorruptCopy(legacyRaw || JSON.stringify(payload)) };
+        }
+      }
     }
 
+    if (legacyRaw !== null && !storageReadOnly) await finishLegacyMigration(legacyRaw);
+
     try {
       const rawS = localStorage.getItem(SETTINGS_KEY);
       if (rawS) Object.assign(settings, JSON.parse(rawS));
+      delete settings.trackLocation; // the old device-wide switch: whose it was isn't known
     } catch (e) {}
   }
 
+  // Writes are batched: saveState() only marks the state dirty and the adapter receives the
+  // records that changed since the last flush a moment later (or when the page is hidden).
   function saveState() {
-    try {
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
-    } catch (e) {
-      console.warn('Failed to save state', e);
-    }
+    if (storageReadOnly) return;
+    if (flushTimer) return;
+    flushTimer = setTimeout(flushState, FLUSH_DELAY_MS);
   }
 
   function saveSettings() {
@@ -112,219 +234,2960 @@
   }
 
   /* -------------------------
-     Demo Data Loader
+     Storage Adapters
      ------------------------- */
 
-  function loadDemoData() {
-    if (localStorage.getItem(DEMO_FLAG)) {
-      console.log('Demo already loaded');
-      return;
+  // Every adapter has the same shape:
+  //   name                       'indexeddb' | 'localStorage'
+  //   open()                     resolves once the backend is usable, rejects if it isn't
+  //   load()                     resolves to the saved payload (a whole-state object, not yet migrated) or null
+  //   write(changes, getPayload) changes = { puts: {collection: {id: record}}, deletes: {collection: [id]}, meta: {key: value} };
+  //                              getPayload() copies the full state, for backends that find nothing stored to apply them to
+  //   writeAll(payload)          replace everything that is stored
+  const RECORD_COLLECTIONS = ['users', 'vendors', 'products', 'orders', 'reviews', 'promos', 'jobs', 'favorites', 'carts', 'notifications'];
+  const IDB_NAME = 'streetvendor';
+  const IDB_VERSION = 4; // bump when RECORD_COLLECTIONS gains a store
+  const IDB_META_STORE = 'meta';
+  const FLUSH_DELAY_MS = 250;
+
+  let storage = null; // active adapter
+  let persisted = null; // JSON of each record as last written: { collection: {id: json}, meta: {key: json} }; null = unknown
+  let dirty = {}; // collection -> Set of record ids written since the last flush
+  // Device-only collections edited in place all over; small (no photos), so each flush compares them whole
+  const ALWAYS_DIFFED = ['jobs', 'favorites', 'carts', 'notifications'];
+  let flushTimer = null;
+  let flushChain = Promise.resolve();
+
+  function parseStoredJson(raw) {
+    try {
+      return JSON.parse(raw);
+    } catch (e) {
+      e.raw = raw;
+      throw e;
     }
+  }
 
-    // Clear existing state for a clean demo experience
-    state = {
-      users: {},
-      currentUserId: null,
-      vendors: {},
-      products: {},
-      orders: {},
-      favorites: {},
-      recentActivity: [],
+  function createLocalStorageAdapter() {
+    return {
+      name: 'localStorage',
+      async open() {
+        localStorage.getItem(STORAGE_KEY);
+      },
+      async load() {
+        const raw = localStorage.getItem(STORAGE_KEY);
+        return raw === null ? null : parseStoredJson(raw);
+      },
+      // Other tabs write the same key, so apply our records on top of what is stored now
+      // instead of replacing it with this tab's (possibly stale) copy
+      async write({ puts = {}, deletes = {}, meta = {} }, getPayload) {
+        const raw = localStorage.getItem(STORAGE_KEY);
+        const stored = raw === null ? getPayload() : parseStoredJson(raw);
+        for (const c in puts) stored[c] = Object.assign(stored[c] || {}, puts[c]);
+        for (const c in deletes) for (const id of deletes[c]) if (stored[c]) delete stored[c][id];
+        for (const key in meta) {
+          if (meta[key] === undefined) delete stored[key];
+          else stored[key] = meta[key];
+        }
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(stored));
+      },
+      async writeAll(payload) {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(payload));
+      },
     };
+  }
 
-    // Create demo users
-    const custId = uid('u_');
-    state.users[custId] = {
-      id: custId,
-      name: 'Demo Customer',
-      phone: '9999999999',
-      role: 'customer',
+  // One object store per entity collection plus a key/value store for everything else
+  function createIndexedDbAdapter(dbName = IDB_NAME) {
+    let dbPromise = null;
+    const stores = [...RECORD_COLLECTIONS, IDB_META_STORE];
+
+    function open() {
+      if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+          const req = indexedDB.open(dbName, IDB_VERSION);
+          req.onupgradeneeded = () => {
+            const db = req.result;
+            for (const name of stores) {
+              if (!db.objectStoreNames.contains(name)) db.createObjectStore(name);
+            }
+          };
+          req.onsuccess = () => resolve(req.result);
+          req.onerror = () => reject(req.error || new Error('IndexedDB open failed'));
+          req.onblocked = () => reject(new Error('IndexedDB is blocked by another tab'));
+        });
+      }
+      return dbPromise;
+    }
+
+    function transactionDone(tx) {
+      return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+      });
+    }
+
+    function readStore(store) {
+      return new Promise((resolve, reject) => {
+        const out = {};
+        const req = store.openCursor();
+        req.onsuccess = () => {
+          const cursor = req.result;
+          if (!cursor) return resolve(out);
+          out[cursor.key] = cursor.value;
+          cursor.continue();
+        };
+        req.onerror = () => reject(req.error);
+      });
+    }
+
+    return {
+      name: 'indexeddb',
+      open,
+      async load() {
+        const db = await open();
+        const tx = db.transaction(stores, 'readonly');
+        const payload = {};
+        await Promise.all(RECORD_COLLECTIONS.map(c => readStore(tx.objectStore(c)).then(records => (payload[c] = records))));
+        Object.assign(payload, await readStore(tx.objectStore(IDB_META_STORE)));
+        // a database that was never written to has no schema version yet
+        return payload.schemaVersion === undefined ? null : payload;
+      },
+      async write({ puts = {}, deletes = {}, meta = {} }) {
+        const db = await open();
+        const tx = db.transaction(stores, 'readwrite');
+        for (const c in puts) {
+          const store = tx.objectStore(c);
+          for (const id in puts[c]) store.put(puts[c][id], id);
+        }
+        for (const c in deletes) {
+          const store = tx.objectStore(c);
+          for (const id of deletes[c]) store.delete(id);
+        }
+        const metaStore = tx.objectStore(IDB_META_STORE);
+        for (const key in meta) {
+          if (meta[key] === undefined) metaStore.delete(key);
+          else metaStore.put(meta[key], key);
+        }
+        return transactionDone(tx);
+      },
+      async writeAll(payload) {
+        const db = await open();
+        const tx = db.transaction(stores, 'readwrite');
+        for (const name of stores) tx.objectStore(name).clear();
+        for (const c of RECORD_COLLECTIONS) {
+          const store = tx.objectStore(c);
+          for (const id in payload[c] || {}) store.put(payload[c][id], id);
+        }
+        const metaStore = tx.objectStore(IDB_META_STORE);
+        for (const key in payload) {
+          if (!RECORD_COLLECTIONS.includes(key) && payload[key] !== undefined) metaStore.put(payload[key], key);
+        }
+        return transactionDone(tx);
+      },
     };
+  }
 
-    const v1 = createVendor(
-      'Fresh Samosas',
-      'food',
-      { lat: 12.307, lng: 76.652 },
-      true,
-      'Samosa vendor serving hot snacks'
-    );
-    const v2 = createVendor(
-      'Fruit Stall',
-      'fruits',
-      { lat: 12.309, lng: 76.655 },
-      true,
-      'Seasonal fruits & juices'
-    );
-    const v3 = createVendor(
-      'Cloth Corner',
-      'clothes',
-      { lat: 12.303, lng: 76.648 },
-      false,
-      'Handmade clothing'
-    );
+  // IndexedDB when the browser has it (private modes may refuse to open it), otherwise localStorage
+  async function pickStorageAdapter() {
+    if (typeof indexedDB !== 'undefined' && indexedDB) {
+      const idb = createIndexedDbAdapter();
+      try {
+        await idb.open();
+        return idb;
+      } catch (e) {
+        console.warn('IndexedDB unavailable, falling back to localStorage', e);
+      }
+    }
+    return createLocalStorageAdapter();
+  }
 
-    addProductToVendor(v1.id, {
-      name: 'Samosa',
-      price: 20,
-      desc: 'Crispy potato samosa',
-      img: '',
-    });
-    addProductToVendor(v1.id, {
-      name: 'Tea',
-      price: 12,
-      desc: 'Hot masala tea',
-      img: '',
-    });
+  // Per-record JSON so the next flush can tell what changed
+  function snapshotState(data) {
+    const snap = { meta: {} };
+    for (const c of RECORD_COLLECTIONS) {
+      snap[c] = {};
+      for (const id in data[c] || {}) snap[c][id] = JSON.stringify(data[c][id]);
+    }
+    for (const key in data) {
+      if (!RECORD_COLLECTIONS.includes(key)) snap.meta[key] = JSON.stringify(data[key]);
+    }
+    return snap;
+  }
 
-    addProductToVendor(v2.id, {
-      name: 'Banana (dozen)',
-      price: 60,
-      desc: 'Fresh bananas',
-    });
-    addProductToVendor(v2.id, {
-      name: 'Orange Juice',
-      price: 40,
-      desc: 'Freshly squeezed',
+  function diffSnapshots(prev, next, data) {
+    const changes = { puts: {}, deletes: {}, meta: {} };
+    let count = 0;
+    for (const c of RECORD_COLLECTIONS) {
+      for (const id in next[c]) {
+        if (prev[c][id] === next[c][id]) continue;
+        (changes.puts[c] = changes.puts[c] || {})[id] = data[c][id];
+        count++;
+      }
+      for (const id in prev[c]) {
+        if (id in next[c]) continue;
+        (changes.deletes[c] = changes.deletes[c] || []).push(id);
+        count++;
+      }
+    }
+    for (const key of new Set([...Object.keys(prev.meta), ...Object.keys(next.meta)])) {
+      if (prev.meta[key] === next.meta[key]) continue;
+      changes.meta[key] = data[key];
+      count++;
+    }
+    return { changes, count };
+  }
+
+  // Remember which record changed so the next flush only has to look at those
+  function markDirty(collection, id) {
+    (dirty[collection] = dirty[collection] || new Set()).add(id);
+  }
+
+  // Dirty records, the always-diffed collections and the meta keys whose JSON differs from the last write.
+  // Updates persisted as it goes, so call it only when the result is handed to the adapter.
+  function collectChanges() {
+    const changes = { puts: {}, deletes: {}, meta: {} };
+    let count = 0;
+    const ids = dirty;
+    dirty = {};
+    for (const c of ALWAYS_DIFFED) ids[c] = new Set([...Object.keys(state[c] || {}), ...Object.keys(persisted[c])]);
+    for (const c in ids) {
+      const saved = (persisted[c] = persisted[c] || {});
+      for (const id of ids[c]) {
+        const rec = state[c] && state[c][id];
+        const json = rec === undefined ? undefined : JSON.stringify(rec);
+        if (json === saved[id]) continue;
+        if (json === undefined) {
+          delete saved[id];
+          (changes.deletes[c] = changes.deletes[c] || []).push(id);
+        } else {
+          saved[id] = json;
+          (changes.puts[c] = changes.puts[c] || {})[id] = JSON.parse(json);
+        }
+        count++;
+      }
+    }
+    for (const key of new Set([...Object.keys(state), ...Object.keys(persisted.meta)])) {
+      if (RECORD_COLLECTIONS.includes(key)) continue;
+      const json = JSON.stringify(state[key]);
+      if (json === persisted.meta[key]) continue;
+      if (json === undefined) delete persisted.meta[key];
+      else persisted.meta[key] = json;
+      changes.meta[key] = json === undefined ? undefined : JSON.parse(json);
+      count++;
+    }
+    return { changes, count };
+  }
+
+  // Hand the adapter whatever changed since the last successful write
+  function flushState() {
+    if (flushTimer) {
+      clearTimeout(flushTimer);
+      flushTimer = null;
+    }
+    if (!storage || storageReadOnly) return flushChain;
+    let task, message;
+    if (!persisted) {
+      const payload = JSON.parse(JSON.stringify(state));
+      persisted = snapshotState(payload);
+      dirty = {};
+      task = () => storage.writeAll(payload);
+      message = { type: 'reload' }; // other tabs re-read storage after a full rewrite
+    } else {
+      const { changes, count } = collectChanges();
+      if (!count) return flushChain;
+      task = () => storage.write(changes, () => JSON.parse(JSON.stringify(state)));
+      message = { type: 'changes', changes };
+    }
+    flushChain = flushChain.then(task).then(() => broadcastTabMessage(message)).catch((e) => {
+      // unknown what landed: rewrite everything next time
+      persisted = null;
+      console.warn('Failed to save state', e);
+      ui.showToast('Could not save your changes: ' + ((e && e.message) || e), 3500);
     });
+    return flushChain;
+  }
 
-    addProductToVendor(v3.id, {
-      name: 'T-Shirt',
-      price: 299,
-      desc: 'Cotton t-shirt, medium',
+  // Copy the old single-key save into IndexedDB once, then move the key aside so it isn't imported again
+  async function finishLegacyMigration(raw) {
+    try {
+      persisted = null;
+      await flushState();
+      if (!persisted) return; // write failed; try again next load
+      localStorage.removeItem(STORAGE_KEY);
+      try {
+        localStorage.setItem(`${STORAGE_KEY}_migrated`, raw);
+      } catch (e) {}
+      addActivity('Moved saved data to IndexedDB');
+    } catch (e) {
+      console.warn('Migration to IndexedDB failed', e);
+    }
+  }
+
+  /* -------------------------
+     Cross-Tab Sync
+     ------------------------- */
+
+  // Tabs of the same browser share storage. After each flush a tab tells the others which records it
+  // wrote, and they merge those records into their own state (and snapshot, so they don't write them
+  // back) rather than reloading the lot. BroadcastChannel where available, storage events otherwise.
+  const TAB_CHANNEL = 'streetvendor';
+  const TAB_MESSAGE_KEY = 'sv_tab_message';
+  const TAB_MESSAGE_MAX_CHARS = 512 * 1024; // bigger change sets just tell the other tabs to re-read storage
+  const TAB_LOCAL_META = ['schemaVersion', 'currentUserId', 'sync']; // who is signed in here and this tab's server bookkeeping
+  const ARRIVED_HIGHLIGHT_MS = 6000;
+  const TAB_ID = uid('t_');
+  let tabChannel = null;
+  const arrivedOrderIds = new Set(); // highlighted in the vendor's order list for a few seconds
+
+  // Panels that show each part of state
+  const TAB_RENDERERS = {
+    users: ['renderAuthState', 'renderVendorProfile'],
+    vendors: ['renderVendors', 'renderVendorProfile', 'renderVendorHours', 'renderVendorPricing', 'renderVendorProducts', 'renderCart', 'renderStats'],
+    products: ['renderVendors', 'renderVendorProducts', 'renderStockAlerts', 'renderCart'],
+    orders: ['renderOrders', 'renderVendorOrders', 'renderStockAlerts', 'renderStats', 'renderReconciliation', 'renderAnalytics'],
+    reviews: ['renderVendors', 'renderOrders'],
+    promos: ['renderVendorPromos', 'renderCart'],
+    favorites: ['renderFavorites'],
+    carts: ['renderCart'],
+    notifications: ['renderNotifications'],
+    recentActivity: ['renderActivity'],
+    popularity: ['renderVendors'],
+  };
+
+  function startTabSync() {
+    if (typeof BroadcastChannel === 'function') {
+      tabChannel = new BroadcastChannel(TAB_CHANNEL);
+      tabChannel.onmessage = (ev) => receiveTabMessage(ev.data);
+      return;
+    }
+    window.addEventListener('storage', (ev) => {
+      if (ev.key !== TAB_MESSAGE_KEY || !ev.newValue) return;
+      try {
+        receiveTabMessage(JSON.parse(ev.newValue));
+      } catch (e) {}
     });
+  }
 
-    // set a default customer for quicker login selection
-    state.currentUserId = custId;
+  function broadcastTabMessage(message) {
+    const msg = Object.assign({ from: TAB_ID, id: uid('m_') }, message);
+    if (tabChannel) {
+      tabChannel.postMessage(msg);
+      return;
+    }
+    try {
+      let text = JSON.stringify(msg);
+      if (text.length > TAB_MESSAGE_MAX_CHARS) text = JSON.stringify({ from: TAB_ID, id: msg.id, type: 'reload' });
+      // the storage event fires in other tabs on set; removing straight away keeps the key from piling up
+      localStorage.setItem(TAB_MESSAGE_KEY, text);
+      localStorage.removeItem(TAB_MESSAGE_KEY);
+    } catch (e) {}
+  }
 
-    localStorage.setItem(DEMO_FLAG, '1');
-    saveState();
-    addActivity('Loaded demo data');
-    ui.showToast('Demo data loaded — try "Quick Demo" login or browse vendors', 3500);
+  function receiveTabMessage(msg) {
+    if (!msg || msg.from === TAB_ID || storageReadOnly) return;
+    if (msg.type === 'changes') applyTabChanges(msg.changes);
+    else if (msg.type === 'reload') mergeFromStorage().catch(e => console.warn('Could not read changes from another tab', e));
+  }
+
+  // A record this tab changed but hasn't flushed yet is newer than anything another tab sent
+  function isUnflushed(collection, id) {
+    if (!persisted) return false;
+    const current = collection === 'meta' ? state[id] : state[collection] && state[collection][id];
+    const saved = collection === 'meta' ? persisted.meta[id] : persisted[collection][id];
+    return JSON.stringify(current) !== saved;
+  }
+
+  function applyTabChanges({ puts = {}, deletes = {}, meta = {} }) {
+    const touched = new Set();
+    const arrived = [];
+    const updated = []; // orders whose status another tab moved on
+    const fresh = []; // new inbox entries for whoever is signed in here
+    for (const c in puts) {
+      state[c] = state[c] || {};
+      for (const id in puts[c]) {
+        if (isUnflushed(c, id)) continue;
+        if (c === 'orders' && !state.orders[id]) arrived.push(id);
+        else if (c === 'orders' && puts[c][id] && puts[c][id].status !== state.orders[id].status) updated.push(id);
+        if (c === 'notifications' && id === state.currentUserId) {
+          const seen = new Set(notificationsFor(id).map(n => n.id));
+          fresh.push(...((puts[c][id] && puts[c][id].items) || []).filter(n => !n.read && !seen.has(n.id)));
+        }
+        state[c][id] = puts[c][id];
+        if (persisted) persisted[c][id] = JSON.stringify(puts[c][id]);
+        touched.add(c);
+      }
+    }
+    for (const c in deletes) {
+      for (const id of deletes[c]) {
+        if (!state[c] || !state[c][id] || isUnflushed(c, id)) continue;
+        delete state[c][id];
+        if (persisted) delete persisted[c][id];
+        touched.add(c);
+      }
+    }
+    for (const key in meta) {
+      if (TAB_LOCAL_META.includes(key) || isUnflushed('meta', key)) continue;
+      state[key] = meta[key];
+      if (persisted) persisted.meta[key] = JSON.stringify(meta[key]);
+      touched.add(key);
+    }
+    if (touched.size) afterTabMerge(touched, arrived, fresh, updated);
+  }
+
+  // Whole-storage variant, for writes too big to broadcast (demo load, start fresh, first migration)
+  async function mergeFromStorage() {
+    const payload = await storage.load();
+    if (!payload) return;
+    const { data } = upgradeState(payload);
+    const current = snapshotState(JSON.parse(JSON.stringify(state)));
+    applyTabChanges(diffSnapshots(current, snapshotState(data), data).changes);
+  }
+
+  function afterTabMerge(touched, arrived, fresh = [], updated = []) {
+    reindexVendors();
+    checkSession();
+    // jobs created in another tab: arm the timer here too so a vendor tab gets its reminders
+    if (touched.has('jobs')) runDueJobs();
+
+    const renderers = new Set();
+    for (const key of touched) for (const fn of TAB_RENDERERS[key] || []) renderers.add(fn);
+
+    const me = state.currentUserId;
+    for (const id of arrived) {
+      const o = state.orders[id];
+      const v = o && state.vendors[o.vendorId];
+      if (!v || v.userId !== me || o.status !== 'pending') continue;
+      arrivedOrderIds.add(id);
+      setTimeout(() => {
+        arrivedOrderIds.delete(id);
+        ui.renderVendorOrders();
+      }, ARRIVED_HIGHLIGHT_MS);
+      const customer = state.users[o.customerId] || {};
+      ui.showToast(`New order ${id} from ${customer.name || 'a customer'}`, 4000);
+    }
+    // due orders and reminders fired by the job runner in another tab
+    for (const n of fresh) {
+      if (!JOB_NOTIFICATION_TYPES.includes(n.type) || arrivedOrderIds.has(n.orderId)) continue;
+      if (settings.notificationMode === 'browser') ui.browserNotify(n.title, n.body);
+      else ui.showToast(n.title, 4000);
+    }
+    for (const id of updated) if (state.orders[id]) notifyOrderStatusElsewhere(state.orders[id]);
+    for (const fn of renderers) ui[fn]();
   }
 
   /* -------------------------
-     Data Model Helpers
+     Schema Versions & Migrations
      ------------------------- */
 
-  function createVendor(name, category = 'food', location = null, active = false, meta = '') {
-    const userId = uid('u_');
-    state.users[userId] = {
-      id: userId,
-      name,
-      phone: 'demo-' + userId,
-      role: 'vendor',
-      category,
-    };
+  // Each entry upgrades a payload from version N to N + 1. Migrations only fill in or reshape
+  // data; anything that can't be fixed is left for repairState() to quarantine.
+  const MIGRATIONS = {
+    // v1: the original unversioned shape. v2 adds reviews, jobs, popularity, order history and
+    // item snapshots, product stock, and stores favorites as arrays (Sets serialised as {}).
+    1(data) {
+      for (const key of ['users', 'vendors', 'products', 'orders', 'reviews', 'jobs', 'favorites', 'quarantine']) {
+        data[key] = asRecordMap(data[key]);
+      }
+      data.recentActivity = Array.isArray(data.recentActivity) ? data.recentActivity.filter(a => typeof a === 'string') : [];
+      if (!data.popularity || typeof data.popularity !== 'object') data.popularity = null;
+      for (const uid in data.favorites) {
+        const favs = data.favorites[uid];
+        data.favorites[uid] = Array.isArray(favs) ? favs : [];
+      }
+      for (const v of Object.values(data.vendors)) {
+        if (!v || typeof v !== 'object') continue;
+        for (const key of ['products', 'orders', 'reviews', 'dutyLog']) v[key] = Array.isArray(v[key]) ? v[key] : [];
+        if (v.hours === undefined) v.hours = null;
+      }
+      for (const p of Object.values(data.products)) {
+        if (!p || typeof p !== 'object') continue;
+        p.price = Number(p.price) || 0;
+        p.stock = normalizeStock(p.stock);
+        if (p.lowStockAt === undefined) p.lowStockAt = DEFAULT_LOW_STOCK_AT;
+      }
+      for (const o of Object.values(data.orders)) {
+        if (!o || typeof o !== 'object') continue;
+        if (!Array.isArray(o.history) || !o.history.length) o.history = [{ status: 'pending', at: o.createdAt }];
+        for (const it of Array.isArray(o.items) ? o.items : []) {
+          const p = data.products[it.productId];
+          if (it.name === undefined && p) it.name = p.name;
+          if (it.price === undefined && p) it.price = Number(p.price) || 0;
+        }
+      }
+      return data;
+    },
+    // v3 keeps each customer's cart, which used to live in memory only
+    2(data) {
+      data.carts = asRecordMap(data.carts);
+      return data;
+    },
+    // v4 adds vendor discount rules
+    3(data) {
+      data.promos = asRecordMap(data.promos);
+      return data;
+    },
+    // v5 adds each user's notification inbox
+    4(data) {
+      data.notifications = asRecordMap(data.notifications);
+      return data;
+    },
+  };
 
-    const vendorId = uid('v_');
-    state.vendors[vendorId] = {
-      id: vendorId,
-      userId,
-      name,
-      category,
-      location: location || null,
-      active: !!active,
-      products: [],
-      orders: [],
-      meta,
-    };
-    saveState();
-    return state.vendors[vendorId];
+  function asRecordMap(value) {
+    return value && typeof value === 'object' && !Array.isArray(value) ? value : {};
   }
 
-  function addProductToVendor(vendorId, { name, price, desc = '', img = '' }) {
-    const pid = uid('p_');
-    state.products[pid] = {
-      id: pid,
-      vendorId,
-      name,
-      price: Number(price) || 0,
-      desc,
-      img: img || '',
+  // Run every migration between the payload's version and SCHEMA_VERSION, then repair
+  function upgradeState(parsed) {
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) throw new Error('saved data is not an object');
+    let version = Number(parsed.schemaVersion) || 1;
+    if (version > SCHEMA_VERSION) {
+      const err = new Error(`Your saved data was written by a newer version of StreetVendor (schema ${version}). It has been left untouched — update the app to use it.`);
+      err.code = 'NEWER_SCHEMA';
+      throw err;
+    }
+    let data = parsed;
+    while (version < SCHEMA_VERSION) {
+      const step = MIGRATIONS[version];
+      if (!step) throw new Error(`no migration from schema ${version}`);
+      data = step(data);
+      version++;
+      data.schemaVersion = version;
+    }
+    const report = repairState(data);
+    return { data, report };
+  }
+
+  function quarantineRecord(data, collection, id, reason) {
+    data.quarantine[collection] = data.quarantine[collection] || {};
+    data.quarantine[collection][id] = { record: data[collection][id], reason, at: nowIso() };
+    delete data[collection][id];
+  }
+
+  // Fix dangling references and move records that can't be fixed into data.quarantine
+  function repairState(data) {
+    const report = { repaired: 0, quarantined: 0, notes: [] };
+    const repaired = (note) => {
+      report.repaired++;
+      report.notes.push(note);
     };
-    state.vendors[vendorId].products.push(pid);
-    saveState();
-    return state.products[pid];
+    const quarantine = (collection, id, reason) => {
+      quarantineRecord(data, collection, id, reason);
+      report.quarantined++;
+      report.notes.push(`${collection} ${id}: ${reason}`);
+    };
+    for (const key of ['users', 'vendors', 'products', 'orders', 'reviews', 'promos', 'jobs', 'favorites', 'carts', 'notifications', 'quarantine']) {
+      data[key] = asRecordMap(data[key]);
+    }
+    if (!Array.isArray(data.recentActivity)) data.recentActivity = [];
+    const isRecord = (r) => r && typeof r === 'object' && !Array.isArray(r);
+
+    for (const id in data.users) {
+      if (!isRecord(data.users[id])) quarantine('users', id, 'malformed user');
+    }
+    for (const id in data.vendors) {
+      const v = data.vendors[id];
+      if (!isRecord(v) || !v.name) quarantine('vendors', id, 'malformed vendor');
+    }
+    for (const id in data.products) {
+      const p = data.products[id];
+      if (!isRecord(p) || !p.name) quarantine('products', id, 'malformed product');
+      else if (!data.vendors[p.vendorId]) quarantine('products', id, 'vendor no longer exists');
+    }
+    for (const id in data.orders) {
+      const o = data.orders[id];
+      if (!isRecord(o) || !Array.isArray(o.items)) quarantine('orders', id, 'malformed order');
+      else if (!data.vendors[o.vendorId]) quarantine('orders', id, 'vendor no longer exists');
+      else if (!ORDER_TRANSITIONS[o.status]) quarantine('orders', id, `unknown status "${o.status}"`);
+      else {
+        for (const it of o.items) {
+          if (data.products[it.productId] || it.name !== undefined) continue;
+          it.name = 'Unknown item';
+          it.price = Number(it.price) || 0;
+          repaired(`order ${id}: item ${it.productId} missing from products`);
+        }
+      }
+    }
+    for (const id in data.reviews) {
+      const r = data.reviews[id];
+      if (!isRecord(r) || !data.vendors[r.vendorId]) quarantine('reviews', id, 'vendor no longer exists');
+    }
+    for (const id in data.promos) {
+      const d = data.promos[id];
+      if (!isRecord(d) || !data.vendors[d.vendorId]) quarantine('promos', id, 'vendor no longer exists');
+    }
+
+    // vendor id lists must match the records that survived
+    for (const v of Object.values(data.vendors)) {
+      for (const [key, collection] of [['products', 'products'], ['orders', 'orders'], ['reviews', 'reviews']]) {
+        if (!Array.isArray(v[key])) v[key] = [];
+        const before = v[key].length;
+        v[key] = v[key].filter(id => data[collection][id]);
+        if (v[key].length !== before) repaired(`vendor ${v.id}: removed ${before - v[key].length} missing ${key}`);
+      }
+    }
+    for (const p of Object.values(data.products)) {
+      const v = data.vendors[p.vendorId];
+      if (!v.products.includes(p.id)) {
+        v.products.push(p.id);
+        repaired(`vendor ${v.id}: relinked product ${p.id}`);
+      }
+    }
+    for (const o of Object.values(data.orders)) {
+      const v = data.vendors[o.vendorId];
+      if (!v.orders.includes(o.id)) {
+        v.orders.push(o.id);
+        repaired(`vendor ${v.id}: relinked order ${o.id}`);
+      }
+    }
+    for (const uid in data.favorites) {
+      if (!Array.isArray(data.favorites[uid])) data.favorites[uid] = [];
+      const before = data.favorites[uid].length;
+      data.favorites[uid] = data.favorites[uid].filter(vid => data.vendors[vid]);
+      if (data.favorites[uid].length !== before) repaired(`favorites of ${uid}: dropped missing vendors`);
+    }
+    // stale cart lines are dropped with a notice by reconcileCart(); here only the shape is fixed
+    for (const uid in data.carts) {
+      const c = data.carts[uid];
+      if (isRecord(c) && Array.isArray(c.items)) continue;
+      data.carts[uid] = { items: [], notices: [], updatedAt: nowIso() };
+      repaired(`cart of ${uid}: emptied malformed cart`);
+    }
+    for (const uid in data.notifications) {
+      const inbox = data.notifications[uid];
+      if (isRecord(inbox) && Array.isArray(inbox.items)) continue;
+      data.notifications[uid] = { items: [], updatedAt: nowIso() };
+      repaired(`notifications of ${uid}: emptied malformed inbox`);
+    }
+    if (data.currentUserId && !data.users[data.currentUserId]) {
+      data.currentUserId = null;
+      repaired('signed-in user no longer exists');
+    }
+    return report;
+  }
+
+  // Park an unreadable payload under its own key so starting fresh can't destroy it
+  function keepCorruptCopy(raw) {
+    const key = `${STORAGE_KEY}_unreadable_${Date.now()}`;
+    try {
+      localStorage.setItem(key, raw);
+      return key;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function downloadText(filename, text, type = 'application/json') {
+    const blob = new Blob([text], { type });
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+  }
+
+  /* -------------------------
+     Data Access & Sync
+     ------------------------- */
+
+  // Shared records (users, vendors, products, orders, reviews) are written only through putRecord,
+  // updateRecord and removeRecord. A write lands in state at once (optimistic) and, when a sync
+  // server is set, is queued in state.sync.outbox; writes made in the same turn travel as one
+  // all-or-nothing batch (see server/server.js). If the server has a newer copy of any record in a
+  // batch, the whole batch is rolled back to the server's copies and the user is told.
+  const SYNCED_COLLECTIONS = ['users', 'vendors', 'products', 'orders', 'reviews', 'promos'];
+  // Fields that only mean something on this device: never sent, and kept when a server copy arrives.
+  // The vendor id lists are rebuilt from the records, so concurrent orders don't fight over the vendor.
+  // PIN hashes stay here too; the sync server keeps its own (see openServerSession).
+  const LOCAL_ONLY_FIELDS = { users: ['auth'], vendors: ['products', 'orders', 'reviews'], orders: ['popularityStage', 'notifiedAt'] };
+  const SYNC_POLL_MS = 15 * 1000;
+  const SYNC_RETRY_MAX_MS = 2 * 60 * 1000;
+  const SYNC_TIMEOUT_MS = 10 * 1000;
+
+  let openBatch = null; // writes of the current turn, closed on the next microtask
+  let syncTimer = null;
+  let syncRunning = null; // promise of the sync in progress
+  let syncFailures = 0;
+  const syncStatus = { state: 'off', at: null, message: '' }; // state: off | ok | pending | offline | error
+
+  // outbox: [{ id, createdAt, userId, ops: [{ op: 'put'|'delete', collection, id, baseVersion? }] }]
+  // userId is who was signed in when the batch closed; it is sent with that user's server session
+  function emptySync() {
+    return { rev: 0, outbox: [] };
+  }
+
+  function isSyncEnabled() {
+    return !!settings.apiBaseUrl;
+  }
+
+  function putRecord(collection, record) {
+    state[collection] = state[collection] || {};
+    state[collection][record.id] = record;
+    markDirty(collection, record.id);
+    queueWrite('put', collection, record.id);
+    return record;
+  }
+
+  // Shallow update in place; a field set to undefined is removed
+  function updateRecord(collection, id, changes) {
+    const rec = state[collection] && state[collection][id];
+    if (!rec) return null;
+    for (const key in changes) {
+      if (changes[key] === undefined) delete rec[key];
+      else rec[key] = changes[key];
+    }
+    markDirty(collection, id);
+    queueWrite('put', collection, id);
+    return rec;
+  }
+
+  function removeRecord(collection, id) {
+    const rec = state[collection] && state[collection][id];
+    if (!rec) return;
+    delete state[collection][id];
+    markDirty(collection, id);
+    queueWrite('delete', collection, id, rec.version || 0);
+  }
+
+  function queueWrite(op, collection, id, baseVersion) {
+    if (!isSyncEnabled() || !SYNCED_COLLECTIONS.includes(collection)) return;
+    if (!openBatch) {
+      openBatch = { id: uid('b_'), createdAt: nowIso(), ops: [] };
+      Promise.resolve().then(closeBatch);
+    }
+    // puts read the record when the batch is sent, so one entry per record is enough
+    openBatch.ops = openBatch.ops.filter(o => !(o.collection === collection && o.id === id));
+    openBatch.ops.push(op === 'delete' ? { op, collection, id, baseVersion } : { op, collection, id });
+  }
+
+  function closeBatch() {
+    const batch = openBatch;
+    openBatch = null;
+    if (!batch || !batch.ops.length) return;
+    // nobody to send it as (the demo loader): those records stay on this device
+    if (!state.currentUserId) return;
+    batch.userId = state.currentUserId;
+    state.sync = state.sync || emptySync();
+    state.sync.outbox.push(batch);
+    saveState();
+    setSyncStatus('pending');
+    scheduleSync(0);
+  }
+
+  function pendingRecordKeys() {
+    const keys = new Set();
+    const batches = (state.sync ? state.sync.outbox : []).concat(openBatch ? [openBatch] : []);
+    for (const b of batches) for (const o of b.ops) keys.add(`${o.collection}/${o.id}`);
+    return keys;
+  }
+
+  function stripLocalFields(collection, record) {
+    const out = Object.assign({}, record);
+    for (const key of LOCAL_ONLY_FIELDS[collection] || []) delete out[key];
+    delete out.version;
+    return out;
+  }
+
+  // The server's copy replaces ours (or removes it when deleted there)
+  function adoptServerEntry(entry) {
+    if (!SYNCED_COLLECTIONS.includes(entry.collection)) return;
+    const records = (state[entry.collection] = state[entry.collection] || {});
+    const local = records[entry.id];
+    markDirty(entry.collection, entry.id);
+    if (entry.deleted || !entry.data) {
+      delete records[entry.id];
+      return;
+    }
+    const rec = Object.assign({}, entry.data, { version: entry.version });
+    for (const key of LOCAL_ONLY_FIELDS[entry.collection] || []) {
+      if (local && local[key] !== undefined) rec[key] = local[key];
+    }
+    records[entry.id] = rec;
+  }
+
+  // Vendor id lists follow the records, whichever device created them
+  function reindexVendors() {
+    for (const v of Object.values(state.vendors || {})) {
+      for (const key of ['products', 'orders', 'reviews']) {
+        const ids = Array.isArray(v[key]) ? v[key] : [];
+        v[key] = ids.filter(id => state[key][id] && state[key][id].vendorId === v.id);
+        if (v[key].length !== ids.length) markDirty('vendors', v.id);
+      }
+    }
+    for (const key of ['products', 'orders', 'reviews']) {
+      for (const rec of Object.values(state[key] || {})) {
+        const v = state.vendors[rec.vendorId];
+        if (v && !v[key].includes(rec.id)) {
+          v[key].push(rec.id);
+          markDirty('vendors', v.id);
+        }
+      }
+    }
+  }
+
+  async function apiRequest(method, path, body, token) {
+    if (typeof fetch !== 'function') throw new Error('This browser cannot reach the sync server');
+    const ctrl = typeof AbortController === 'function' ? new AbortController() : null;
+    const timer = ctrl ? setTimeout(() => ctrl.abort(), SYNC_TIMEOUT_MS) : null;
+    const headers = {};
+    if (body) headers['Content-Type'] = 'application/json';
+    if (token) headers.Authorization = `Bearer ${token}`;
+    try {
+      const res = await fetch(settings.apiBaseUrl.replace(/\/+$/, '') + path, {
+        method,
+        headers,
+        body: body ? JSON.stringify(body) : undefined,
+        signal: ctrl ? ctrl.signal : undefined,
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        const err = new Error(data.error || `Server answered ${res.status}`);
+        err.status = res.status;
+        err.body = data;
+        throw err;
+      }
+      return data;
+    } finally {
+      if (timer) clearTimeout(timer);
+    }
+  }
+
+  // Resolves to 'sent', 'replaced' (local records were rolled back to the server's copies) or
+  // 'kept' (the author has no server session; the batch waits until they sign in again)
+  async function pushBatch(batch) {
+    const token = serverTokenFor(batch.userId);
+    if (!token) return 'kept';
+    const ops = [];
+    for (const o of batch.ops) {
+      if (o.op === 'delete') {
+        ops.push(o);
+        continue;
+      }
+      const rec = state[o.collection] && state[o.collection][o.id];
+      if (!rec) continue; // removed before it was sent; the delete is queued after this
+      ops.push({ op: 'put', collection: o.collection, id: o.id, baseVersion: rec.version || 0, data: stripLocalFields(o.collection, rec) });
+    }
+    if (!ops.length) return 'sent';
+    try {
+      const out = await apiRequest('POST', '/api/batch', { ops }, token);
+      for (const r of out.results || []) {
+        const rec = state[r.collection] && state[r.collection][r.id];
+        if (rec && !r.deleted) {
+          rec.version = r.version;
+          markDirty(r.collection, r.id);
+        }
+      }
+      return 'sent';
+    } catch (e) {
+      if (e.status === 409) {
+        // someone else changed one of these records first: take the server's copy of everything in the batch
+        for (const entry of (e.body && e.body.current) || []) adoptServerEntry(entry);
+        reportSyncConflict((e.body && e.body.conflicts) || []);
+        return 'replaced';
+      }
+      if (e.status === 401) {
+        forgetServerSession(batch.userId);
+        return 'kept';
+      }
+      if (e.status === 403) {
+        // a record this user may not write: undo the whole batch like a conflict
+        for (const entry of (e.body && e.body.current) || []) adoptServerEntry(entry);
+        addActivity(`The sync server refused a change: ${e.message}`);
+        ui.showToast('The sync server refused a change: ' + e.message, 3500);
+        return 'replaced';
+      }
+      if (e.status >= 400 && e.status < 500) {
+        // the server will never accept this batch; drop it rather than block everything behind it
+        console.warn('Sync server refused a change', e.body || e);
+        ui.showToast('The sync server refused a change: ' + e.message, 3500);
+        return 'sent';
+      }
+      throw e;
+    }
+  }
+
+  function reportSyncConflict(conflicts) {
+    const first = conflicts[0];
+    if (!first) return;
+    const kind = { users: 'A user', vendors: 'A stall', products: 'A product', orders: 'An order', reviews: 'A review' }[first.collection] || 'A record';
+    const rec = state[first.collection] && state[first.collection][first.id];
+    const what = first.collection === 'orders' ? `Order ${first.id}` : rec && rec.name ? rec.name : kind;
+    const msg = `${what} was changed on another device — your change was not saved, showing the latest`;
+    addActivity(msg);
+    ui.showToast(msg, 4500);
+  }
+
+  // Pull what others changed since the last pull; records with queued local writes are left alone
+  async function pullChanges() {
+    const sync = state.sync;
+    const out = await apiRequest('GET', `/api/changes?since=${sync.rev || 0}`);
+    if (out.rev < (sync.rev || 0)) {
+      // the server was reset: start over from scratch
+      sync.rev = 0;
+      return pullChanges();
+    }
+    const firstPull = !sync.rev;
+    const pending = pendingRecordKeys();
+    const result = { changed: false, arrived: [], updated: [], orders: [] };
+    for (const entry of out.records || []) {
+      if (pending.has(`${entry.collection}/${entry.id}`)) continue; // a conflict on our write brings it back
+      const local = state[entry.collection] && state[entry.collection][entry.id];
+      if (local && !entry.deleted && local.version === entry.version) continue; // our own write coming back
+      if (!local && entry.deleted) continue;
+      if (entry.collection === 'orders' && !local && !firstPull) result.arrived.push(entry.id);
+      if (entry.collection === 'orders' && local && entry.data && entry.data.status !== local.status) result.updated.push(entry.id);
+      adoptServerEntry(entry);
+      if (entry.collection === 'orders' && !entry.deleted) result.orders.push(entry.id);
+      result.changed = true;
+    }
+    sync.rev = out.rev;
+    return result;
+  }
+
+  // Who may write a record; the sync server asks the same (OWNERS in server/server.js)
+  const RECORD_OWNERS = {
+    users: (user, rec) => rec.id === user.id,
+    vendors: (user, rec) => rec.userId === user.id,
+    products: (user, rec) => ownsVendor(user, rec.vendorId),
+    promos: (user, rec) => ownsVendor(user, rec.vendorId),
+    orders: (user, rec) => rec.customerId === user.id || ownsVendor(user, rec.vendorId),
+    reviews: (user, rec) => rec.customerId === user.id,
+  };
+
+  // What the server takes as a new record besides ownership (orderReason / reviewReason in
+  // server/server.js): orders that moved on before sync was on, and their reviews, stay here
+  const NEW_RECORD_RULES = {
+    orders: (user, rec) => RECORD_RULES.orders(user, null, rec),
+    reviews: (user, rec) => !!(state.orders[rec.orderId] && state.orders[rec.orderId].version),
+  };
+
+  // Records of the signed-in user the server has never seen (made before sync was on, or while
+  // they had no server session) go up in one batch
+  function queueLocalOnlyRecords() {
+    const user = currentUser();
+    if (!user || !serverTokenFor(user.id)) return;
+    const pending = pendingRecordKeys();
+    for (const collection of SYNCED_COLLECTIONS) {
+      const takes = NEW_RECORD_RULES[collection] || (() => true);
+      for (const rec of Object.values(state[collection] || {})) {
+        if (!rec.version && !pending.has(`${collection}/${rec.id}`) && RECORD_OWNERS[collection](user, rec) && takes(user, rec)) queueWrite('put', collection, rec.id);
+      }
+    }
+    closeBatch();
+  }
+
+  function afterRemoteChange(arrived, updated = [], orders = []) {
+    reindexVendors();
+    for (const id of orders) if (state.orders[id]) catchUpOrderPopularity(state.orders[id]);
+    checkSession();
+    // orders placed on another device: the vendor gets the same due/reminder jobs as the customer
+    for (const id of arrived) {
+      const o = state.orders[id];
+      const v = o && state.vendors[o.vendorId];
+      if (v && v.userId === state.currentUserId && o.status === 'pending') scheduleOrderProcessing(id);
+    }
+    for (const id of updated) if (state.orders[id]) notifyOrderStatusElsewhere(state.orders[id]);
+    saveState();
+    ui.renderAll();
+  }
+
+  function scheduleSync(delay = SYNC_POLL_MS) {
+    if (syncTimer) clearTimeout(syncTimer);
+    syncTimer = null;
+    if (!isSyncEnabled()) return;
+    syncTimer = setTimeout(syncNow, delay);
+  }
+
+  // Push the outbox in order, then pull. Network errors keep the outbox and retry with backoff.
+  function syncNow() {
+    if (syncRunning) return syncRunning;
+    if (!isSyncEnabled()) return Promise.resolve();
+    syncRunning = (async () => {
+      closeBatch();
+      state.sync = state.sync || emptySync();
+      const sync = state.sync;
+      let changed = false;
+      let arrived = [];
+      let updated = [];
+      let pulledOrders = [];
+      let kept = 0;
+      try {
+        for (const batch of sync.outbox.slice()) {
+          const result = await pushBatch(batch);
+          if (result === 'kept') {
+            kept++;
+            continue;
+          }
+          changed = changed || result === 'replaced';
+          sync.outbox = sync.outbox.filter(b => b !== batch);
+          saveState();
+        }
+        const pulled = await pullChanges();
+        changed = changed || pulled.changed;
+        arrived = pulled.arrived;
+        updated = pulled.updated;
+        pulledOrders = pulled.orders;
+        queueLocalOnlyRecords();
+        syncFailures = 0;
+        setSyncStatus(sync.outbox.length ? 'pending' : 'ok', kept ? 'some wait for their owner to sign in with a PIN' : '');
+      } catch (e) {
+        syncFailures++;
+        setSyncStatus(e.status ? 'error' : 'offline', e.message);
+      } finally {
+        syncRunning = null;
+        if (changed) afterRemoteChange(arrived, updated, pulledOrders);
+        else saveState();
+        const retry = Math.min(SYNC_POLL_MS * Math.pow(2, syncFailures), SYNC_RETRY_MAX_MS);
+        scheduleSync(syncFailures ? retry : sync.outbox.length > kept ? 0 : SYNC_POLL_MS);
+      }
+    })();
+    return syncRunning;
+  }
+
+  // Point the app at a sync server ('' = local only)
+  function connectSync(url) {
+    const base = String(url || '').trim().replace(/\/+$/, '');
+    if (base && !/^https?:\/\/[^\s/]+/i.test(base)) return { ok: false, msg: 'Sync server must be an http(s):// address' };
+    if (base === (settings.apiBaseUrl || '')) return { ok: true };
+    settings.apiBaseUrl = base;
+    saveSettings();
+    // versions belong to a particular server
+    for (const collection of SYNCED_COLLECTIONS) {
+      for (const rec of Object.values(state[collection] || {})) delete rec.version;
+    }
+    state.sync = emptySync();
+    saveState();
+    setSyncStatus(base ? 'pending' : 'off');
+    if (base) syncNow();
+    else scheduleSync();
+    addActivity(base ? `Syncing with ${base}` : 'Sync turned off — data stays on this device');
+    return { ok: true };
+  }
+
+  function setSyncStatus(stateName, message = '') {
+    syncStatus.state = isSyncEnabled() ? stateName : 'off';
+    syncStatus.message = message;
+    if (stateName === 'ok') syncStatus.at = nowIso();
+    ui.renderSyncStatus();
+  }
+
+  // Server sessions of the users signed in on this device: { userId: { token, expiresAt } }.
+  // Reads are open, but the server only takes writes with a token, and only to records the
+  // token's user owns.
+  const SERVER_SESSIONS_KEY = 'sv_server_sessions_v1';
+
+  function readServerSessions() {
+    try {
+      return JSON.parse(localStorage.getItem(SERVER_SESSIONS_KEY)) || {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  function writeServerSessions(sessions) {
+    try {
+      localStorage.setItem(SERVER_SESSIONS_KEY, JSON.stringify(sessions));
+    } catch (e) {}
+  }
+
+  function serverTokenFor(userId) {
+    const session = userId ? readServerSessions()[userId] : null;
+    return session && Date.now() < new Date(session.expiresAt).getTime() ? session.token : null;
+  }
+
+  function forgetServerSession(userId) {
+    const sessions = readServerSessions();
+    delete sessions[userId];
+    writeServerSessions(sessions);
+  }
+
+  // The server checks the PIN itself; the first session for an account it has never seen sets it
+  async function openServerSession(userId, pin) {
+    if (!isSyncEnabled()) return { ok: true };
+    try {
+      const out = await apiRequest('POST', '/api/sessions', { userId, pin });
+      const sessions = readServerSessions();
+      sessions[userId] = { token: out.token, expiresAt: out.expiresAt };
+      writeServerSessions(sessions);
+      scheduleSync(0);
+      return { ok: true };
+    } catch (e) {
+      // a wrong PIN or a lockout is the caller's to report
+      if (e.status !== 401 && e.status !== 429) setSyncStatus('error', `not signed in to the sync server (${e.message}) — your changes stay on this device`);
+      return { ok: false, status: e.status, msg: e.message };
+    }
+  }
+
+  // Send what the user still has queued, then end their server session (everywhere: on every device)
+  async function closeServerSession(userId, everywhere = false) {
+    const token = serverTokenFor(userId);
+    if (!token) return;
+    await syncNow().catch(() => {});
+    try {
+      await apiRequest('DELETE', everywhere ? '/api/sessions?all=1' : '/api/sessions', null, token);
+    } catch (e) {
+      console.warn('Could not end the sync server session', e);
+    }
+    if (serverTokenFor(userId) === token) forgetServerSession(userId);
+  }
+
+  /* -------------------------
+     Permissions
+     ------------------------- */
+
+  // Every action that changes shared data asks authorize() first, and the UI asks can() with the
+  // same action name before showing a button, so the two can't drift apart.
+  const ownsVendor = (user, vendorId) => !!state.vendors[vendorId] && state.vendors[vendorId].userId === user.id;
+  const PERMISSIONS = {
+    // target: the new owner (a user) — stalls are created for yourself, everything else is the demo loader
+    'vendor.create': (user, owner) => user.role === 'vendor' && owner.id === user.id,
+    'vendor.edit': (user, vendor) => ownsVendor(user, vendor.id),
+    'product.create': (user, vendor) => ownsVendor(user, vendor.id),
+    'product.edit': (user, product) => ownsVendor(user, product.vendorId),
+    'promo.create': (user, vendor) => ownsVendor(user, vendor.id),
+    'promo.edit': (user, promo) => ownsVendor(user, promo.vendorId),
+    'order.place': (user, order) => order.customerId === user.id,
+    'order.cancel': (user, order) => order.customerId === user.id,
+    'order.reschedule': (user, order) => order.customerId === user.id,
+    'order.review': (user, order) => order.customerId === user.id,
+    'order.accept': (user, order) => ownsVendor(user, order.vendorId),
+    'order.ready': (user, order) => ownsVendor(user, order.vendorId),
+    'order.complete': (user, order) => ownsVendor(user, order.vendorId),
+    'order.reject': (user, order) => ownsVendor(user, order.vendorId),
+    'order.payment': (user, order) => ownsVendor(user, order.vendorId),
+    'order.export': (user, vendor) => ownsVendor(user, vendor.id),
+  };
+  // the action needed to move an order into each status
+  const ORDER_STATUS_ACTIONS = {
+    accepted: 'order.accept',
+    ready: 'order.ready',
+    completed: 'order.complete',
+    rejected: 'order.reject',
+    cancelled: 'order.cancel',
+  };
+  const PERMISSION_MESSAGES = {
+    vendor: 'Only the stall owner can do that',
+    product: 'Only the stall that sells this product can change it',
+    promo: 'Only the stall that runs this discount can change it',
+    order: 'You can only act on your own orders',
+    'order.accept': 'Only the stall that received this order can update it',
+    'order.ready': 'Only the stall that received this order can update it',
+    'order.complete': 'Only the stall that received this order can update it',
+    'order.reject': 'Only the stall that received this order can update it',
+    'order.payment': 'Only the stall that received this order can confirm payment',
+    'order.export': 'Only the stall owner can export its orders',
+  };
+  let systemDepth = 0; // > 0 while trusted app code (the demo loader) runs
+
+  function currentUser() {
+    return (state.currentUserId && state.users[state.currentUserId]) || null;
+  }
+
+  function can(action, target = {}) {
+    if (systemDepth > 0) return true;
+    const user = currentUser();
+    const rule = PERMISSIONS[action];
+    return !!(user && rule && target && rule(user, target));
+  }
+
+  // null when allowed, otherwise the usual { ok: false, msg } result
+  function authorize(action, target) {
+    if (can(action, target)) return null;
+    if (!currentUser()) return { ok: false, msg: 'Sign in first' };
+    const msg = PERMISSION_MESSAGES[action] || PERMISSION_MESSAGES[action.split('.')[0]] || 'You are not allowed to do that';
+    return { ok: false, msg };
+  }
+
+  function asSystem(fn) {
+    systemDepth++;
+    try {
+      return fn();
+    } finally {
+      systemDepth--;
+    }
+  }
+
+  // Fields that change after an order is placed, and the action each needs; status goes through
+  // ORDER_TRANSITIONS and ORDER_STATUS_ACTIONS, and anything not listed is fixed once placed
+  const ORDER_FIELD_ACTIONS = {
+    schedule: 'order.reschedule',
+    reviewId: 'order.review',
+    completedAt: 'order.complete',
+    rejectionReason: 'order.reject',
+    payment: 'order.payment',
+    history: null, // either side of the order
+    stockRestored: null,
+    popularityStage: null, // this device only
+    notifiedAt: null,
+  };
+
+  // What a record write may do beyond being the user's own, so orders and reviews only move the way
+  // their actions move them (orderReason / reviewReason in server/server.js). before / after: null
+  // when the record is new / removed.
+  const RECORD_RULES = {
+    orders(user, before, after) {
+      if (!after) return false;
+      if (!before) {
+        return after.customerId === user.id && after.status === 'pending' && orderPayment(after).status === 'unpaid' && !after.reviewId && !after.stockRestored && !after.completedAt;
+      }
+      const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+      return [...keys].every((key) => {
+        if (key === 'id' || key === 'version' || JSON.stringify(before[key]) === JSON.stringify(after[key])) return true;
+        if (key === 'status') return canTransition(before.status, after.status) && PERMISSIONS[ORDER_STATUS_ACTIONS[after.status]](user, before);
+        if (!(key in ORDER_FIELD_ACTIONS)) return false;
+        const action = ORDER_FIELD_ACTIONS[key];
+        return !action || PERMISSIONS[action](user, before);
+      });
+    },
+    // one review per completed order, as submitReview has it
+    reviews(user, before, after) {
+      if (!after) return true;
+      const order = state.orders[after.orderId];
+      if (!order || order.customerId !== user.id || order.status !== 'completed' || after.vendorId !== order.vendorId) return false;
+      if (order.reviewId && order.reviewId !== after.id && state.reviews[order.reviewId]) return false;
+      if (Object.values(state.reviews).some(r => r.id !== after.id && r.orderId === after.orderId)) return false;
+      return Number.isInteger(after.rating) && after.rating >= 1 && after.rating <= 5;
+    },
+  };
+
+  // Check for writes that don't come through an action (the SV.data console API): the signed-in
+  // user must own the record as it is and as it would be (RECORD_OWNERS), and orders and reviews
+  // must follow RECORD_RULES
+  function canWriteRecord(collection, before, after) {
+    if (systemDepth > 0) return true;
+    const user = currentUser();
+    const owns = RECORD_OWNERS[collection];
+    if (!user || !owns || [before, after].some(rec => rec && !owns(user, rec))) return false;
+    const rule = RECORD_RULES[collection];
+    return !rule || rule(user, before || null, after || null);
+  }
+
+  const guardedData = {
+    put(collection, record) {
+      if (!record || !canWriteRecord(collection, state[collection] && state[collection][record.id], record)) return null;
+      return putRecord(collection, record);
+    },
+    update(collection, id, changes) {
+      const rec = state[collection] && state[collection][id];
+      if (!rec || !canWriteRecord(collection, rec, Object.assign({}, rec, changes))) return null;
+      return updateRecord(collection, id, changes);
+    },
+    remove(collection, id) {
+      const rec = state[collection] && state[collection][id];
+      if (!rec || !canWriteRecord(collection, rec, null)) return false;
+      removeRecord(collection, id);
+      return true;
+    },
+  };
+
+  /* -------------------------
+     Backup & Restore
+     ------------------------- */
+
+  // A backup is everything this device holds plus its settings, in one JSON file:
+  //   { format: 'streetvendor-backup', backupVersion, schemaVersion, createdAt, state, settings }
+  // Restoring runs state through the same migrations and repairs as saved data, so a backup from
+  // an older version of the app still restores.
+  const BACKUP_FORMAT = 'streetvendor-backup';
+  const BACKUP_VERSION = 1;
+  const AUTO_BACKUP_KEY = 'sv_auto_backup'; // copy kept before demo data replaced real data
+  const BACKUP_SUMMARY_COLLECTIONS = ['users', 'vendors', 'products', 'orders', 'reviews', 'promos'];
+
+  let pendingRestore = null; // a checked backup waiting for the user to pick merge or replace
+
+  function createBackup() {
+    const data = JSON.parse(JSON.stringify(state));
+    delete data.sync; // bookkeeping for this device's server connection
+    delete data.currentUserId; // sessions stay on the device they started on
+    for (const u of Object.values(data.users || {})) delete u.auth; // and so do PIN hashes
+    return { format: BACKUP_FORMAT, backupVersion: BACKUP_VERSION, schemaVersion: SCHEMA_VERSION, createdAt: nowIso(), state: data, settings: Object.assign({}, settings) };
+  }
+
+  function downloadBackup(label = 'backup') {
+    const backup = createBackup();
+    downloadText(`streetvendor-${label}-${toDateKey(new Date())}.json`, JSON.stringify(backup, null, 2));
+    return backup;
+  }
+
+  // "2 vendors, 5 products, 3 orders" — only the collections that have something
+  function describeRecordCounts(data) {
+    return ['vendors', 'products', 'orders', 'users']
+      .map(c => [c, Object.keys(data[c] || {}).length])
+      .filter(([, n]) => n)
+      .map(([c, n]) => `${n} ${n === 1 ? c.replace(/s$/, '') : c}`)
+      .join(', ');
+  }
+
+  // Text of a backup file -> { ok, data, settings, createdAt, report } with data already migrated
+  function readBackup(text) {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (e) {
+      return { ok: false, msg: 'That file is not valid JSON' };
+    }
+    if (!parsed || parsed.format !== BACKUP_FORMAT || !parsed.state || typeof parsed.state !== 'object') {
+      return { ok: false, msg: 'That file is not a StreetVendor backup' };
+    }
+    if (!(Number(parsed.backupVersion) >= 1) || parsed.backupVersion > BACKUP_VERSION) {
+      return { ok: false, msg: 'This backup was made by a newer version of StreetVendor — update the app to restore it' };
+    }
+    try {
+      const { data, report } = upgradeState(Object.assign({}, parsed.state, { schemaVersion: parsed.schemaVersion }));
+      const saved = parsed.settings && typeof parsed.settings === 'object' ? parsed.settings : {};
+      return { ok: true, data, settings: saved, createdAt: parsed.createdAt || null, report };
+    } catch (e) {
+      if (e.code === 'NEWER_SCHEMA') return { ok: false, msg: 'This backup was made by a newer version of StreetVendor — update the app to restore it' };
+      return { ok: false, msg: `The backup is damaged (${e.message})` };
+    }
+  }
+
+  // Key order differs between records built on different paths, so compare with sorted keys
+  function sameRecord(collection, a, b) {
+    const sorted = (value) => {
+      if (Array.isArray(value)) return value.map(sorted);
+      if (!value || typeof value !== 'object') return value;
+      const out = {};
+      for (const key of Object.keys(value).sort()) out[key] = sorted(value[key]);
+      return out;
+    };
+    return JSON.stringify(sorted(stripLocalFields(collection, a))) === JSON.stringify(sorted(stripLocalFields(collection, b)));
+  }
+
+  // Per collection: records only in the backup, in both but different, and only on this device
+  function diffBackup(data) {
+    const diff = {};
+    for (const c of BACKUP_SUMMARY_COLLECTIONS) {
+      const mine = state[c] || {};
+      const theirs = data[c] || {};
+      const row = { added: 0, changed: 0, onlyHere: 0 };
+      for (const id in theirs) {
+        if (!mine[id]) row.added++;
+        else if (!sameRecord(c, mine[id], theirs[id])) row.changed++;
+      }
+      for (const id in mine) if (!theirs[id]) row.onlyHere++;
+      diff[c] = row;
+    }
+    return diff;
+  }
+
+  // merge: add what this device is missing and keep its own copy of everything else.
+  // replace: make this device match the backup, settings included (except the sync server).
+  function restoreBackup(restore, mode) {
+    if (!restore || !restore.ok) return { ok: false, msg: 'Choose a backup file first' };
+    if (mode !== 'merge' && mode !== 'replace') return { ok: false, msg: 'Choose merge or replace' };
+    if (!currentUser()) return { ok: false, msg: 'Log in to restore a backup' };
+    // anything restored would go to the server under this account, other people's records included
+    if (isSyncEnabled()) return { ok: false, msg: 'Disconnect the sync server in Settings before restoring' };
+    const { data } = restore;
+    const counts = { added: 0, replaced: 0, removed: 0 };
+    const restoredOrders = [];
+    for (const c of RECORD_COLLECTIONS) {
+      const incoming = data[c] || {};
+      const current = state[c] || {};
+      if (mode === 'replace') {
+        for (const id of Object.keys(current)) {
+          if (incoming[id]) continue;
+          removeRecord(c, id);
+          counts.removed++;
+        }
+      }
+      for (const id in incoming) {
+        if (current[id] && (mode === 'merge' || sameRecord(c, current[id], incoming[id]))) continue;
+        counts[current[id] ? 'replaced' : 'added']++;
+        // PIN hashes never come from a file (older backups carried them); this device's own are kept
+        const record = Object.assign({}, incoming[id]);
+        if (c === 'users') {
+          delete record.auth;
+          if (current[id] && current[id].auth) record.auth = current[id].auth;
+        }
+        if (c === 'orders') {
+          // a merged order was counted on the device the backup came from, not in this one's scores
+          if (mode === 'merge') delete record.popularityStage;
+          restoredOrders.push(id);
+        }
+        putRecord(c, record);
+      }
+    }
+    if (mode === 'replace') {
+      state.recentActivity = data.recentActivity || [];
+      state.quarantine = data.quarantine || {};
+      Object.assign(settings, restore.settings, { apiBaseUrl: settings.apiBaseUrl });
+      saveSettings();
+      state.popularity = data.popularity || null; // the orders came with the stages these scores counted
+    }
+    reindexVendors();
+    if (!state.popularity) rebuildPopularity();
+    else for (const id of restoredOrders) if (state.orders[id]) catchUpOrderPopularity(state.orders[id]);
+    saveState();
+    addActivity(`Restored backup${restore.createdAt ? ` from ${new Date(restore.createdAt).toLocaleString()}` : ''} (${mode})`);
+    checkSession(); // the signed-in account may not exist in what was restored
+    return { ok: true, counts };
+  }
+
+  // Kept on the device as well as downloaded, in case the download is blocked or lost
+  function keepAutoBackup(backup) {
+    try {
+      localStorage.setItem(AUTO_BACKUP_KEY, JSON.stringify(backup));
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  function readFileAsText(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error || new Error('Could not read file'));
+      reader.readAsText(file);
+    });
+  }
+
+  function autoBackupText() {
+    try {
+      return localStorage.getItem(AUTO_BACKUP_KEY);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /* -------------------------
+     Demo Data Loader
+     ------------------------- */
+
+  function loadDemoData() {
+    if (localStorage.getItem(DEMO_FLAG)) {
+      console.log('Demo already loaded');
+      return;
+    }
+    // the demo replaces everything, so whatever is already here gets backed up first
+    const existing = describeRecordCounts(state);
+    if (existing) {
+      if (!confirm(`Loading the demo replaces everything on this device (${existing}). A backup will be downloaded first. Continue?`)) return;
+      const backup = downloadBackup('before-demo');
+      if (!keepAutoBackup(backup) && !confirm('Could not also keep a copy on this device, so the downloaded file is the only one. Continue?')) return;
+    }
+    asSystem(seedDemoData);
+    localStorage.setItem(DEMO_FLAG, '1');
+    saveState();
+    addActivity('Loaded demo data');
+    ui.showToast('Demo data loaded — try "Quick Demo" login or browse vendors', 3500);
+  }
+
+  function seedDemoData() {
+    // Clear existing state for a clean demo experience
+    state = {
+      schemaVersion: SCHEMA_VERSION,
+      users: {},
+      currentUserId: null,
+      vendors: {},
+      products: {},
+      orders: {},
+      reviews: {},
+      promos: {},
+      jobs: {},
+      popularity: emptyPopularity(),
+      favorites: {},
+      carts: {},
+      notifications: {},
+      recentActivity: [],
+      quarantine: {},
+      sync: emptySync(),
+    };
+    persisted = null; // the stored copy is replaced whole on the next flush
+
+    // Create demo users
+    const custId = uid('u_');
+    putRecord('users', {
+      id: custId,
+      name: 'Demo Customer',
+      phone: '9999999999',
+      role: 'customer',
+    });
+
+    const v1 = createVendor(
+      'Fresh Samosas',
+      'food',
+      { lat: 12.307, lng: 76.652 },
+      true,
+      'Samosa vendor serving hot snacks'
+    );
+    const v2 = createVendor(
+      'Fruit Stall',
+      'fruits',
+      { lat: 12.309, lng: 76.655 },
+      true,
+      'Seasonal fruits & juices'
+    );
+    const v3 = createVendor(
+      'Cloth Corner',
+      'clothes',
+      { lat: 12.303, lng: 76.648 },
+      false,
+      'Handmade clothing'
+    );
+    const clothSlots = [{ open: '10:00', close: '13:00' }, { open: '16:00', close: '20:00' }];
+    updateRecord('vendors', v3.id, { hours: { weekly: { 0: [], 1: clothSlots, 2: clothSlots, 3: clothSlots, 4: clothSlots, 5: clothSlots, 6: clothSlots }, closures: [] } });
+    // the food stalls deliver; the cloth stall is pickup only
+    updateRecord('vendors', v1.id, { pricing: { delivery: true, minOrder: 0, freeDeliveryOver: 150 }, upiId: 'freshsamosas@upi' });
+    updateRecord('vendors', v2.id, { pricing: { delivery: true, minOrder: 50, freeDeliveryOver: 0 } });
+
+    const samosa = addProductToVendor(v1.id, {
+      name: 'Samosa',
+      price: 20,
+      desc: 'Crispy potato samosa',
+      img: '',
+      stock: 25,
+    });
+    const tea = addProductToVendor(v1.id, {
+      name: 'Tea',
+      price: 12,
+      desc: 'Hot masala tea',
+      img: '',
+    });
+    // one automatic deal and one code to try in the cart
+    createPromo(v1.id, { label: 'Snack combo', type: 'bogo', buyProductId: samosa.id, buyQty: 4, getProductId: tea.id, getQty: 1 });
+    createPromo(v1.id, { label: 'Welcome offer', code: 'FIRST10', type: 'percent', value: 10, firstOrderOnly: true });
+
+    addProductToVendor(v2.id, {
+      name: 'Banana (dozen)',
+      price: 60,
+      desc: 'Fresh bananas',
+    });
+    addProductToVendor(v2.id, {
+      name: 'Orange Juice',
+      price: 40,
+      desc: 'Freshly squeezed',
+    });
+
+    addProductToVendor(v3.id, {
+      name: 'T-Shirt',
+      price: 299,
+      desc: 'Cotton t-shirt, medium',
+    });
+
+    // sign straight in as the demo customer
+    startSession(custId);
+  }
+
+  /* -------------------------
+     Data Model Helpers
+     ------------------------- */
+
+  function createVendor(name, category = 'food', location = null, active = false, meta = '') {
+    if (!can('vendor.create', {})) return null;
+    const userId = uid('u_');
+    putRecord('users', {
+      id: userId,
+      name,
+      phone: 'demo-' + userId,
+      role: 'vendor',
+      category,
+    });
+
+    const vendorId = uid('v_');
+    putRecord('vendors', {
+      id: vendorId,
+      userId,
+      name,
+      category,
+      location: location || null,
+      active: !!active,
+      products: [],
+      orders: [],
+      meta,
+    });
+    saveState();
+    return state.vendors[vendorId];
+  }
+
+  function addProductToVendor(vendorId, { name, price, desc = '', img = '', stock = null, lowStockAt = DEFAULT_LOW_STOCK_AT }) {
+    if (!state.vendors[vendorId] || !can('product.create', state.vendors[vendorId])) return null;
+    const cleanName = cleanText(name);
+    if (!cleanName) return null;
+    const pid = uid('p_');
+    putRecord('products', {
+      id: pid,
+      vendorId,
+      name: cleanName,
+      price: Number(price) || 0,
+      desc: cleanText(desc, TEXT_LIMITS.desc),
+      img: cleanImageUrl(img) || '',
+      stock: normalizeStock(stock),
+      lowStockAt: Number(lowStockAt) >= 0 ? Number(lowStockAt) : DEFAULT_LOW_STOCK_AT,
+    });
+    state.vendors[vendorId].products.push(pid); // local index, see reindexVendors
+    markDirty('vendors', vendorId);
+    saveState();
+    return state.products[pid];
+  }
+
+  function updateProduct(productId, { name, price, desc, img, stock }) {
+    const p = state.products[productId];
+    if (!p) return { ok: false, msg: 'Product not found' };
+    const denied = authorize('product.edit', p);
+    if (denied) return denied;
+    const newName = name !== undefined ? cleanText(name) : p.name;
+    const newPrice = price !== undefined ? Number(price) : p.price;
+    const newImg = img !== undefined ? cleanImageUrl(img) : p.img;
+    if (!newName) return { ok: false, msg: 'Name is required' };
+    if (!Number.isFinite(newPrice) || newPrice <= 0) return { ok: false, msg: 'Price must be a positive number' };
+    if (newImg === null) return { ok: false, msg: 'Image must be an http(s) link' };
+    updateRecord('products', productId, {
+      name: newName,
+      price: newPrice,
+      desc: desc !== undefined ? cleanText(desc, TEXT_LIMITS.desc) : p.desc,
+      img: newImg,
+      stock: stock !== undefined ? normalizeStock(stock) : p.stock,
+    });
+    saveState();
+    addActivity(`Updated product: ${p.name}`);
+    return { ok: true };
+  }
+
+  // Orders keep their own item snapshots, so deleting only affects the catalog (carts catch up in reconcileCart)
+  function deleteProduct(productId) {
+    const p = state.products[productId];
+    if (!p) return { ok: false, msg: 'Product not found' };
+    const denied = authorize('product.edit', p);
+    if (denied) return denied;
+    const vendor = state.vendors[p.vendorId];
+    if (vendor) {
+      vendor.products = (vendor.products || []).filter(pid => pid !== productId);
+      markDirty('vendors', vendor.id);
+    }
+    removeRecord('products', productId);
+    saveState();
+    addActivity(`Deleted product: ${p.name}`);
+    return { ok: true };
+  }
+
+  // "Unavailable today" lapses on its own at midnight
+  function setProductUnavailableToday(productId, unavailable) {
+    const p = state.products[productId];
+    if (!p) return { ok: false, msg: 'Product not found' };
+    const denied = authorize('product.edit', p);
+    if (denied) return denied;
+    let until;
+    if (unavailable) {
+      const endOfDay = new Date();
+      endOfDay.setHours(23, 59, 59, 999);
+      until = endOfDay.toISOString();
+    }
+    updateRecord('products', productId, { unavailableUntil: until });
+    saveState();
+    addActivity(`${p.name} marked ${unavailable ? 'unavailable today' : 'available'}`);
+    return { ok: true };
+  }
+
+  function isProductUnavailable(p) {
+    return !!(p && p.unavailableUntil && Date.now() < new Date(p.unavailableUntil).getTime());
+  }
+
+  // Name/price an order item was placed at; older orders without a snapshot fall back to the catalog
+  function orderItemInfo(it) {
+    const p = state.products[it.productId] || {};
+    return {
+      name: it.name || p.name || 'Item',
+      price: Number(it.price !== undefined ? it.price : p.price) || 0,
+    };
+  }
+
+  /* -------------------------
+     Vendor Profile & Duty Status
+     ------------------------- */
+
+  const VENDOR_PHOTO_MAX_BYTES = 300 * 1024; // uploaded stall photos are stored inline as data URLs
+  const DUTY_LOG_LIMIT = 50;
+
+  function vendorForUser(userId) {
+    return Object.values(state.vendors || {}).find(v => v.userId === userId) || null;
+  }
+
+  // Vendor record for an existing vendor login (registering as a vendor only creates the user)
+  function ensureVendorProfile(user) {
+    const existing = vendorForUser(user.id);
+    if (existing) return existing;
+    if (!can('vendor.create', user)) return null;
+    const vendorId = uid('v_');
+    putRecord('vendors', {
+      id: vendorId,
+      userId: user.id,
+      name: user.name,
+      category: user.category || 'food',
+      location: null,
+      active: false,
+      products: [],
+      orders: [],
+      meta: '',
+      contactPhone: user.phone || '',
+      photo: '',
+      dutyLog: [],
+    });
+    saveState();
+    addActivity('Created vendor profile for ' + user.name);
+    return state.vendors[vendorId];
+  }
+
+  function updateVendorProfile(vendorId, { name, category, meta, contactPhone, photo, upiId }) {
+    const v = state.vendors[vendorId];
+    if (!v) return { ok: false, msg: 'Vendor not found' };
+    const denied = authorize('vendor.edit', v);
+    if (denied) return denied;
+    const stallName = name !== undefined ? cleanText(name) : v.name;
+    if (!stallName) return { ok: false, msg: 'Stall name is required' };
+    const phone = contactPhone !== undefined ? String(contactPhone).trim() : v.contactPhone || '';
+    if (phone && !/^[+\d][\d\s-]{5,}$/.test(phone)) return { ok: false, msg: 'Contact number looks invalid' };
+    const upi = upiId !== undefined ? String(upiId).trim() : v.upiId || '';
+    if (upi && !UPI_ID_PATTERN.test(upi)) return { ok: false, msg: 'UPI ID should look like name@bank' };
+    if (photo && photo.length > VENDOR_PHOTO_MAX_BYTES * 1.4) return { ok: false, msg: 'Stall photo is too large' };
+    const stallPhoto = photo !== undefined ? cleanImageUrl(photo) : v.photo;
+    if (stallPhoto === null) return { ok: false, msg: 'Stall photo must be an image file or an http(s) link' };
+    updateRecord('vendors', vendorId, {
+      name: stallName,
+      category: category !== undefined ? cleanText(category).toLowerCase() || v.category : v.category,
+      meta: meta !== undefined ? cleanText(meta, TEXT_LIMITS.desc) : v.meta,
+      contactPhone: phone,
+      photo: stallPhoto,
+      upiId: upi,
+    });
+    saveState();
+    addActivity(`Updated stall profile: ${v.name}`);
+    return { ok: true };
+  }
+
+  // Flip on/off duty, keeping a log of when it happened
+  function setVendorActive(vendorId, active) {
+    const v = state.vendors[vendorId];
+    if (!v) return { ok: false, msg: 'Vendor not found' };
+    const denied = authorize('vendor.edit', v);
+    if (denied) return denied;
+    if (v.active === !!active) return { ok: true };
+    const dutyLog = (v.dutyLog || []).concat({ active: !!active, at: nowIso() }).slice(-DUTY_LOG_LIMIT);
+    updateRecord('vendors', vendorId, { active: !!active, dutyLog });
+    saveState();
+    addActivity(`${v.name} is now ${v.active ? 'on duty' : 'off duty'}`);
+    return { ok: true };
+  }
+
+  function lastDutyChange(v) {
+    const log = v.dutyLog || [];
+    return log.length ? log[log.length - 1] : null;
+  }
+
+  function readFileAsDataUrl(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error || new Error('Could not read file'));
+      reader.readAsDataURL(file);
+    });
+  }
+
+  /* -------------------------
+     Operating Hours
+     ------------------------- */
+
+  // vendor.hours is null for "no hours set" (always open). Times are local "HH:MM"; a slot whose
+  // close is not after its open runs past midnight. Closures are local dates the stall is shut.
+  const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+  const SCHEDULE_DAYS_AHEAD = 7;
+  const SCHEDULE_STEP_MINUTES = 15;
+
+  function parseTimeOfDay(str) {
+    const m = /^(\d{1,2}):(\d{2})$/.exec(String(str).trim());
+    if (!m) return null;
+    const h = Number(m[1]),
+      min = Number(m[2]);
+    if (h > 24 || min > 59 || (h === 24 && min)) return null;
+    return h * 60 + min;
+  }
+
+  // "07:00-10:30, 17:00-22:00" -> [{open, close}]
+  function parseSlots(text) {
+    const slots = [];
+    if (/^\s*closed\s*$/i.test(String(text || ''))) return { ok: true, slots }; // same as leaving the day blank
+    for (const part of String(text || '').split(',').map(p => p.trim()).filter(Boolean)) {
+      const [open, close] = part.split('-').map(p => p && p.trim());
+      const o = parseTimeOfDay(open),
+        c = parseTimeOfDay(close);
+      if (o === null || c === null || o === c) return { ok: false, msg: `"${part}" is not a valid time range (use 17:00-22:00)` };
+      slots.push({ open, close });
+    }
+    slots.sort((a, b) => parseTimeOfDay(a.open) - parseTimeOfDay(b.open));
+    return { ok: true, slots };
+  }
+
+  function formatSlots(slots) {
+    return (slots || []).map(s => `${s.open}-${s.close}`).join(', ');
+  }
+
+  function toDateKey(date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  // The other way, for date inputs: local midnight, or null if it isn't a YYYY-MM-DD day
+  function fromDateKey(key) {
+    const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(key || ''));
+    return m ? new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3])) : null;
+  }
+
+  function formatClock(date) {
+    return date.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+  }
+
+  // Slots that start on the given local day, empty on closures
+  function slotsOn(vendor, date) {
+    const hours = vendor.hours;
+    if ((hours.closures || []).includes(toDateKey(date))) return [];
+    return (hours.weekly && hours.weekly[date.getDay()]) || [];
+  }
+
+  // Each slot on the day (and overnight spill-over from the day before) as concrete Date ranges
+  function slotRanges(vendor, date) {
+    const ranges = [];
+    for (const offset of [-1, 0]) {
+      const day = new Date(date);
+      day.setDate(day.getDate() + offset);
+      day.setHours(0, 0, 0, 0);
+      for (const slot of slotsOn(vendor, day)) {
+        const o = parseTimeOfDay(slot.open),
+          c = parseTimeOfDay(slot.close);
+        const start = new Date(day.getTime());
+        start.setMinutes(o);
+        const end = new Date(day.getTime());
+        end.setMinutes(c > o ? c : c + 24 * 60);
+        ranges.push({ start, end });
+      }
+    }
+    return ranges;
+  }
+
+  function isVendorOpenAt(vendor, date) {
+    if (!vendor || !vendor.hours) return true;
+    return slotRanges(vendor, date).some(r => date >= r.start && date < r.end);
+  }
+
+  // Start of the next slot after `from` (or `from` itself when already open), null if none within two weeks
+  function nextOpening(vendor, from) {
+    if (!vendor.hours) return from;
+    if (isVendorOpenAt(vendor, from)) return from;
+    for (let i = 0; i <= 14; i++) {
+      const day = new Date(from);
+      day.setDate(day.getDate() + i);
+      const starts = slotRanges(vendor, day).map(r => r.start).filter(d => d > from).sort((a, b) => a - b);
+      if (starts.length) return starts[0];
+    }
+    return null;
+  }
+
+  function describeOpening(next, now) {
+    const days = Math.round((new Date(next).setHours(0, 0, 0, 0) - new Date(now).setHours(0, 0, 0, 0)) / 86400000);
+    if (days === 0) return `at ${formatClock(next)}`;
+    if (days === 1) return `tomorrow ${formatClock(next)}`;
+    return `${WEEKDAYS[next.getDay()]} ${formatClock(next)}`;
+  }
+
+  // "Open now · closes 10:00 PM" / "Opens at 5:00 PM" / "Closed" — empty when the vendor has no hours set
+  function hoursStatus(vendor, now = new Date()) {
+    if (!vendor.hours) return '';
+    const current = slotRanges(vendor, now).find(r => now >= r.start && now < r.end);
+    if (current) return `Open now · closes ${formatClock(current.end)}`;
+    const next = nextOpening(vendor, now);
+    return next ? `Opens ${describeOpening(next, now)}` : 'Closed';
+  }
+
+  function setVendorHours(vendorId, hours) {
+    const v = state.vendors[vendorId];
+    if (!v) return { ok: false, msg: 'Vendor not found' };
+    const denied = authorize('vendor.edit', v);
+    if (denied) return denied;
+    updateRecord('vendors', vendorId, { hours });
+    saveState();
+    addActivity(`${v.name} ${hours ? 'updated opening hours' : 'cleared opening hours'}`);
+    return { ok: true };
+  }
+
+  function setVendorPricing(vendorId, { delivery, minOrder, freeDeliveryOver, taxRatePercent }) {
+    const v = state.vendors[vendorId];
+    if (!v) return { ok: false, msg: 'Vendor not found' };
+    const denied = authorize('vendor.edit', v);
+    if (denied) return denied;
+    const min = Number(minOrder) || 0;
+    const free = Number(freeDeliveryOver) || 0;
+    const tax = Number(taxRatePercent) || 0;
+    if (min < 0 || free < 0) return { ok: false, msg: 'Amounts can\'t be negative' };
+    if (tax < 0 || tax > 50) return { ok: false, msg: 'Tax must be between 0 and 50%' };
+    updateRecord('vendors', vendorId, { pricing: { delivery: !!delivery, minOrder: roundMoney(min), freeDeliveryOver: roundMoney(free), taxRatePercent: tax } });
+    saveState();
+    addActivity(`${v.name} updated delivery & pricing`);
+    return { ok: true };
+  }
+
+  // Shared by placeOrder and rescheduleOrder: a message if any vendor is shut at `when`
+  function closedVendorMessage(vendorIds, when, scheduled) {
+    for (const vid of vendorIds) {
+      const v = state.vendors[vid];
+      if (!v || isVendorOpenAt(v, when)) continue;
+      const next = nextOpening(v, when);
+      return `${v.name} is closed ${scheduled ? 'at that time' : 'right now'}${next ? ` — opens ${describeOpening(next, when)}` : ''}`;
+    }
+    return null;
+  }
+
+  // Times a scheduled order can be placed for: quarter hours in the next SCHEDULE_DAYS_AHEAD days
+  // at which every vendor in the order is open
+  function scheduleSlotTimes(vendorIds, now = new Date()) {
+    const step = SCHEDULE_STEP_MINUTES * 60000;
+    const end = now.getTime() + SCHEDULE_DAYS_AHEAD * 86400000;
+    const times = [];
+    for (let t = Math.floor(now.getTime() / step) * step + step; t <= end; t += step) {
+      const when = new Date(t);
+      if (!closedVendorMessage(vendorIds, when, true)) times.push(when);
+    }
+    return times;
+  }
+
+  function addActivity(text) {
+    state.recentActivity = state.recentActivity || [];
+    state.recentActivity.unshift(`${new Date().toLocaleString()}: ${text}`);
+    if (state.recentActivity.length > 50) state.recentActivity.pop();
+    saveState();
+    ui.renderActivity();
+  }
+
+  /* -------------------------
+     Product Stock
+     ------------------------- */
+
+  // '' / null / undefined mean unlimited; anything else is a whole, non-negative count
+  function normalizeStock(stock) {
+    if (stock === null || stock === undefined || stock === '') return null;
+    const n = Math.floor(Number(stock));
+    return Number.isFinite(n) && n >= 0 ? n : null;
+  }
+
+  function isStockTracked(product) {
+    return product && typeof product.stock === 'number';
+  }
+
+  function isSoldOut(product) {
+    return isStockTracked(product) && product.stock <= 0;
+  }
+
+  // Customer-facing: can this product be added to a cart right now?
+  function isOrderable(product) {
+    return !isSoldOut(product) && !isProductUnavailable(product);
+  }
+
+  function isLowStock(product) {
+    return isStockTracked(product) && product.stock > 0 && product.stock <= (product.lowStockAt || 0);
+  }
+
+  function hasStock(product, qty) {
+    return !isStockTracked(product) || product.stock >= qty;
+  }
+
+  // First shortage message for a set of cart lines, or null if everything is available
+  function findStockShortage(items) {
+    const wanted = {};
+    for (const it of items) wanted[it.productId] = (wanted[it.productId] || 0) + it.qty;
+    for (const pid in wanted) {
+      const p = state.products[pid];
+      if (!p || isProductUnavailable(p)) return `${p ? p.name : 'An item in your cart'} is no longer available`;
+      if (!hasStock(p, wanted[pid])) return isSoldOut(p) ? `${p.name} is sold out` : `Only ${p.stock} ${p.name} left`;
+    }
+    return null;
+  }
+
+  function takeStock(order) {
+    for (const it of order.items) {
+      const p = state.products[it.productId];
+      if (!isStockTracked(p)) continue;
+      updateRecord('products', p.id, { stock: Math.max(0, p.stock - it.qty) });
+      it.stockTaken = it.qty;
+    }
+  }
+
+  // Put back what takeStock removed; safe to call twice
+  function restoreStock(order) {
+    if (order.stockRestored) return;
+    for (const it of order.items) {
+      const p = state.products[it.productId];
+      if (!it.stockTaken || !isStockTracked(p)) continue;
+      updateRecord('products', p.id, { stock: p.stock + it.stockTaken });
+    }
+    updateRecord('orders', order.id, { stockRestored: true });
+  }
+
+  function setProductStock(productId, stock) {
+    const p = state.products[productId];
+    if (!p) return { ok: false, msg: 'Product not found' };
+    const denied = authorize('product.edit', p);
+    if (denied) return denied;
+    updateRecord('products', productId, { stock: normalizeStock(stock) });
+    saveState();
+    addActivity(`Stock for ${p.name} set to ${isStockTracked(p) ? p.stock : 'unlimited'}`);
+    return { ok: true };
+  }
+
+  /* -------------------------
+     Pricing
+     ------------------------- */
+
+  // Delivery fee by straight-line distance from the customer to the stall; past the last band the
+  // stall doesn't deliver at all
+  const DELIVERY_BANDS = [
+    { upToKm: 1, fee: 10 },
+    { upToKm: 3, fee: 25 },
+    { upToKm: 5, fee: 40 },
+  ];
+  const FULFILMENT_LABELS = { pickup: 'Pickup', delivery: 'Delivery' };
+
+  function roundMoney(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  // vendor.pricing = { delivery, minOrder, freeDeliveryOver, taxRatePercent }; a stall that never set it is pickup only, untaxed
+  function vendorPricing(vendor) {
+    const p = (vendor && vendor.pricing) || {};
+    return { delivery: !!p.delivery, minOrder: Number(p.minOrder) || 0, freeDeliveryOver: Number(p.freeDeliveryOver) || 0, taxRatePercent: Number(p.taxRatePercent) || 0 };
+  }
+
+  function deliveryBand(distanceKm) {
+    return DELIVERY_BANDS.find(b => distanceKm <= b.upToKm) || null;
+  }
+
+  // Charges for one vendor's share of the cart. placeOrder stores this breakdown on the order, so
+  // history shows what the customer saw. lines: [{productId, price, qty}]. problem says why it can't be
+  // ordered as chosen; notes say why entered promo codes didn't apply. Minimum order and free delivery
+  // go by the items before any discount; tax is on what's left after it.
+  function priceVendorOrder(vendorId, lines, { fulfilment = 'pickup', customerLoc = null, customerId = null, codes = [], at = new Date() } = {}) {
+    const vendor = state.vendors[vendorId] || {};
+    const rules = vendorPricing(vendor);
+    const subtotal = roundMoney(lines.reduce((sum, l) => sum + (Number(l.price) || 0) * l.qty, 0));
+    const { discount, notes } = bestDiscount(vendorId, lines, subtotal, { customerId, codes, at });
+    const quote = {
+      fulfilment: fulfilment === 'delivery' ? 'delivery' : 'pickup',
+      subtotal,
+      discount,
+      distanceKm: null,
+      deliveryFee: 0,
+      taxRate: rules.taxRatePercent,
+      tax: 0,
+      total: 0,
+      problem: null,
+      notes,
+    };
+    if (rules.minOrder && subtotal < rules.minOrder) quote.problem = `${vendor.name} has a minimum order of ₹${rules.minOrder}`;
+    if (quote.fulfilment === 'delivery') {
+      const lastBand = DELIVERY_BANDS[DELIVERY_BANDS.length - 1];
+      if (!rules.delivery) quote.problem = quote.problem || `${vendor.name} is pickup only`;
+      else if (!customerLoc) quote.problem = quote.problem || 'Set your location to get delivery';
+      else if (!vendor.location) quote.problem = quote.problem || `${vendor.name} hasn't shared a location to deliver from`;
+      else {
+        const d = haversineDistanceKm(customerLoc.lat, customerLoc.lng, vendor.location.lat, vendor.location.lng);
+        const band = deliveryBand(d);
+        quote.distanceKm = Math.round(d * 100) / 100;
+        if (!band) quote.problem = quote.problem || `${vendor.name} delivers within ${lastBand.upToKm} km — you are ${d.toFixed(1)} km away`;
+        else if (!(rules.freeDeliveryOver && subtotal >= rules.freeDeliveryOver)) quote.deliveryFee = band.fee;
+      }
+    }
+    const discounted = roundMoney(subtotal - (discount ? discount.amount : 0));
+    quote.tax = roundMoney((discounted * quote.taxRate) / 100);
+    quote.total = roundMoney(discounted + quote.deliveryFee + quote.tax);
+    return quote;
+  }
+
+  // Orders placed before pricing existed only have their items
+  function orderPricing(order) {
+    if (order.pricing) return order.pricing;
+    const subtotal = roundMoney(order.items.reduce((sum, it) => sum + (Number(orderItemInfo(it).price) || 0) * it.qty, 0));
+    return { fulfilment: 'pickup', subtotal, discount: null, distanceKm: null, deliveryFee: 0, taxRate: 0, tax: 0, total: subtotal };
+  }
+
+  // "Delivery ₹25 (2.1 km)", "Free delivery", "Pickup"
+  function describeFulfilment(pricing) {
+    if (pricing.fulfilment !== 'delivery') return FULFILMENT_LABELS.pickup;
+    const where = pricing.distanceKm !== null ? ` (${pricing.distanceKm} km)` : '';
+    return pricing.deliveryFee ? `Delivery ₹${pricing.deliveryFee}${where}` : `Free delivery${where}`;
+  }
+
+  /* -------------------------
+     Discounts & Promo Codes
+     ------------------------- */
+
+  // Vendor-run discount rules. A rule without a code applies by itself; one with a code only once the
+  // customer enters it in the cart. Each vendor group gets the single best discount it qualifies for.
+  //   type 'percent'  value% off the items          type 'flat'  ₹value off the items
+  //   type 'bogo'     buy buyQty of buyProductId, get getQty of getProductId free
+  const PROMO_TYPES = { percent: 'Percent off', flat: 'Flat amount off', bogo: 'Buy X get Y free' };
+  const PROMO_CODE_PATTERN = /^[A-Z0-9_-]{3,20}$/;
+  const ORDER_NOT_COUNTED = ['cancelled', 'rejected'];
+
+  function normalizePromoCode(code) {
+    return String(code || '').trim().toUpperCase();
+  }
+
+  function createPromo(vendorId, fields) {
+    const v = state.vendors[vendorId];
+    if (!v) return { ok: false, msg: 'Vendor not found' };
+    const denied = authorize('promo.create', v);
+    if (denied) return denied;
+    const code = normalizePromoCode(fields.code);
+    if (code && !PROMO_CODE_PATTERN.test(code)) return { ok: false, msg: 'Codes are 3–20 letters, digits, - or _' };
+    const clash = code && Object.values(state.promos).find(p => p.vendorId === vendorId && p.code === code);
+    if (clash) return { ok: false, msg: `You already have a discount with code ${code}` };
+    const type = PROMO_TYPES[fields.type] ? fields.type : null;
+    if (!type) return { ok: false, msg: 'Choose a discount type' };
+    const promo = {
+      id: uid('d_'),
+      vendorId,
+      label: cleanText(fields.label) || PROMO_TYPES[type],
+      code,
+      type,
+      value: 0,
+      window: null,
+      firstOrderOnly: !!fields.firstOrderOnly,
+      perCustomerLimit: Math.max(0, Math.floor(Number(fields.perCustomerLimit) || 0)),
+      active: true,
+      createdAt: nowIso(),
+    };
+    if (type === 'bogo') {
+      const buy = state.products[fields.buyProductId];
+      const get = state.products[fields.getProductId];
+      if (!buy || buy.vendorId !== vendorId || !get || get.vendorId !== vendorId) return { ok: false, msg: 'Pick two of your own products' };
+      Object.assign(promo, {
+        buyProductId: buy.id,
+        buyQty: Math.floor(Number(fields.buyQty)) || 0,
+        getProductId: get.id,
+        getQty: Math.floor(Number(fields.getQty)) || 0,
+      });
+      if (promo.buyQty < 1 || promo.getQty < 1) return { ok: false, msg: 'Buy and free quantities must be at least 1' };
+    } else {
+      promo.value = roundMoney(Number(fields.value) || 0);
+      if (promo.value <= 0) return { ok: false, msg: 'Enter the discount amount' };
+      if (type === 'percent' && promo.value > 100) return { ok: false, msg: 'A percentage can\'t be over 100' };
+    }
+    if (fields.from || fields.to) {
+      if (parseTimeOfDay(fields.from) === null || parseTimeOfDay(fields.to) === null || fields.from === fields.to) {
+        return { ok: false, msg: 'Times must look like 07:00 and 11:00' };
+      }
+      promo.window = { from: fields.from, to: fields.to };
+    }
+    putRecord('promos', promo);
+    saveState();
+    addActivity(`${v.name} added discount: ${promo.label}`);
+    return { ok: true, promo: state.promos[promo.id] };
+  }
+
+  function setPromoActive(promoId, active) {
+    const promo = state.promos[promoId];
+    if (!promo) return { ok: false, msg: 'Discount not found' };
+    const denied = authorize('promo.edit', promo);
+    if (denied) return denied;
+    updateRecord('promos', promoId, { active: !!active });
+    saveState();
+    return { ok: true };
+  }
+
+  // Orders keep their own copy of the discount they got, so deleting only stops future use
+  function deletePromo(promoId) {
+    const promo = state.promos[promoId];
+    if (!promo) return { ok: false, msg: 'Discount not found' };
+    const denied = authorize('promo.edit', promo);
+    if (denied) return denied;
+    removeRecord('promos', promoId);
+    saveState();
+    return { ok: true };
+  }
+
+  // "10% off • 07:00–11:00 • first order only" for the vendor's discount list
+  function describePromo(promo) {
+    const parts = [];
+    if (promo.type === 'percent') parts.push(`${promo.value}% off`);
+    else if (promo.type === 'flat') parts.push(`₹${promo.value} off`);
+    else {
+      const name = (id) => (state.products[id] || {}).name || 'item';
+      parts.push(`buy ${promo.buyQty} ${name(promo.buyProductId)}, get ${promo.getQty} ${name(promo.getProductId)} free`);
+    }
+    if (promo.window) parts.push(`${promo.window.from}–${promo.window.to}`);
+    if (promo.firstOrderOnly) parts.push('first order only');
+    if (promo.perCustomerLimit) parts.push(`${promo.perCustomerLimit} per customer`);
+    return parts.join(' • ');
+  }
+
+  // "before 11:00", "17:00–19:00" — windows past midnight wrap like opening hours do
+  function isInPromoWindow(promo, at) {
+    if (!promo.window) return true;
+    const from = parseTimeOfDay(promo.window.from),
+      to = parseTimeOfDay(promo.window.to);
+    const now = at.getHours() * 60 + at.getMinutes();
+    return from < to ? now >= from && now < to : now >= from || now < to;
+  }
+
+  function customerOrdersFrom(customerId, vendorId) {
+    return Object.values(state.orders).filter(o => o.customerId === customerId && o.vendorId === vendorId && !ORDER_NOT_COUNTED.includes(o.status));
+  }
+
+  // ₹ off for these lines, plus why not when it's 0. lines: [{productId, price, qty}]
+  function promoAmount(promo, lines, subtotal) {
+    if (promo.type === 'percent') return { amount: roundMoney((subtotal * promo.value) / 100) };
+    if (promo.type === 'flat') return { amount: Math.min(promo.value, subtotal) };
+    const qtyOf = (pid) => lines.filter(l => l.productId === pid).reduce((n, l) => n + l.qty, 0);
+    const buy = state.products[promo.buyProductId] || {};
+    const get = lines.find(l => l.productId === promo.getProductId);
+    // the same product on both sides: every buyQty + getQty of it has getQty free
+    const sets = promo.buyProductId === promo.getProductId
+      ? Math.floor(qtyOf(promo.buyProductId) / (promo.buyQty + promo.getQty))
+      : Math.floor(qtyOf(promo.buyProductId) / promo.buyQty);
+    const free = Math.min(sets * promo.getQty, qtyOf(promo.getProductId));
+    if (!free) return { amount: 0, why: `buy ${promo.buyQty} ${buy.name || 'items'} and add the free item to your cart` };
+    return { amount: roundMoney(free * Number(get.price)) };
+  }
+
+  // Why this customer can't use the rule for this order, or null when they can
+  function promoIneligibility(promo, { customerId, codes = [], at = new Date() }) {
+    if (!promo.active) return 'is no longer running';
+    if (promo.code && !codes.includes(promo.code)) return 'needs its code';
+    if (!isInPromoWindow(promo, at)) return `only runs ${promo.window.from}–${promo.window.to}`;
+    const past = customerId ? customerOrdersFrom(customerId, promo.vendorId) : [];
+    if (promo.firstOrderOnly && past.length) return 'is for first orders only';
+    if (promo.perCustomerLimit && past.filter(o => o.pricing && o.pricing.discount && o.pricing.discount.promoId === promo.id).length >= promo.perCustomerLimit) {
+      return `can be used ${promo.perCustomerLimit} time${promo.perCustomerLimit === 1 ? '' : 's'} per customer`;
+    }
+    return null;
+  }
+
+  // Best discount for one vendor's share of the cart, and notes on entered codes that didn't apply
+  function bestDiscount(vendorId, lines, subtotal, options = {}) {
+    let best = null;
+    const notes = [];
+    const eligibleCodes = [];
+    for (const promo of Object.values(state.promos)) {
+      if (promo.vendorId !== vendorId) continue;
+      let why = promoIneligibility(promo, options);
+      let amount = 0;
+      if (!why) ({ amount, why } = promoAmount(promo, lines, subtotal));
+      if (!why && amount <= 0) why = 'takes nothing off these items';
+      if (why) {
+        if (promo.code && (options.codes || []).includes(promo.code)) notes.push(`${promo.code} ${why}`);
+        continue;
+      }
+      if (promo.code) eligibleCodes.push(promo.code);
+      if (!best || amount > best.amount) best = { promoId: promo.id, code: promo.code, label: promo.label, amount };
+    }
+    // discounts don't stack, so say which entered code lost out
+    for (const code of eligibleCodes) {
+      if (best.code !== code && (options.codes || []).includes(code)) notes.push(`${code} isn't used: ${best.label} saves more`);
+    }
+    return { discount: best, notes };
+  }
+
+  // "SAMOSA10" typed in the cart: it must belong to a stall the customer is buying from
+  function applyPromoCode(input) {
+    const code = normalizePromoCode(input);
+    if (!state.currentUserId) return { ok: false, msg: 'Login to use promo codes' };
+    if (!code) return { ok: false, msg: 'Enter a code' };
+    const vendorIds = new Set(cart.items.map(it => it.vendorId));
+    const promo = Object.values(state.promos).find(p => p.code === code && p.active && vendorIds.has(p.vendorId));
+    if (!promo) return { ok: false, msg: `${code} isn't a code for the stalls in your cart` };
+    if (cart.codes.includes(code)) return { ok: true, msg: `${code} is already applied` };
+    cart.codes = cart.codes.concat(code);
+    ui.renderCart();
+    return { ok: true, msg: `${code} applied` };
+  }
+
+  function removePromoCode(code) {
+    cart.codes = cart.codes.filter(c => c !== code);
+    ui.renderCart();
+  }
+
+  /* -------------------------
+     QR Codes
+     ------------------------- */
+
+  // Small QR encoder so UPI payment codes are drawn on the device, with no network call. Byte mode,
+  // error correction level M, versions 1–10 (up to 213 bytes) — plenty for a upi:// link.
+  const QR_MAX_VERSION = 10;
+  // per version (index 0 unused), at level M: error correction codewords per block, and block count
+  const QR_ECC_PER_BLOCK = [0, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26];
+  const QR_BLOCKS = [0, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5];
+  const QR_LEVEL_M = 0; // format-info bits for level M
+  const QR_MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+    (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+    (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+  ];
+
+  // Multiplication in GF(2^8) with the QR polynomial x^8 + x^4 + x^3 + x^2 + 1
+  function qrMultiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+      z = (z << 1) ^ ((z >>> 7) * 0x11d);
+      z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+  }
+
+  // Reed–Solomon error correction codewords for one block
+  function qrEcc(data, degree) {
+    const divisor = new Array(degree).fill(0);
+    divisor[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+      for (let j = 0; j < degree; j++) {
+        divisor[j] = qrMultiply(divisor[j], root);
+        if (j + 1 < degree) divisor[j] ^= divisor[j + 1];
+      }
+      root = qrMultiply(root, 0x02);
+    }
+    const result = new Array(degree).fill(0);
+    for (const b of data) {
+      const factor = b ^ result.shift();
+      result.push(0);
+      divisor.forEach((coef, i) => (result[i] ^= qrMultiply(coef, factor)));
+    }
+    return result;
+  }
+
+  // Modules left for data once the fixed patterns are drawn
+  function qrDataModules(ver) {
+    let n = (16 * ver + 128) * ver + 64;
+    if (ver >= 2) {
+      const align = Math.floor(ver / 7) + 2;
+      n -= (25 * align - 10) * align - 55;
+      if (ver >= 7) n -= 36;
+    }
+    return n;
+  }
+
+  function qrDataCodewords(ver) {
+    return Math.floor(qrDataModules(ver) / 8) - QR_ECC_PER_BLOCK[ver] * QR_BLOCKS[ver];
+  }
+
+  function qrAlignmentPositions(ver) {
+    if (ver === 1) return [];
+    const count = Math.floor(ver / 7) + 2;
+    const step = Math.ceil((ver * 4 + 4) / (count * 2 - 2)) * 2;
+    const result = [6];
+    for (let pos = ver * 4 + 10; result.length < count; pos -= step) result.splice(1, 0, pos);
+    return result;
+  }
+
+  // Split the data into blocks, add each block's error correction, and interleave them
+  function qrCodewords(ver, data) {
+    const blockCount = QR_BLOCKS[ver];
+    const eccLen = QR_ECC_PER_BLOCK[ver];
+    const raw = Math.floor(qrDataModules(ver) / 8);
+    const shortBlocks = blockCount - (raw % blockCount);
+    const shortLen = Math.floor(raw / blockCount);
+    const blocks = [];
+    for (let i = 0, k = 0; i < blockCount; i++) {
+      const dat = data.slice(k, k + shortLen - eccLen + (i < shortBlocks ? 0 : 1));
+      k += dat.length;
+      const ecc = qrEcc(dat, eccLen);
+      if (i < shortBlocks) dat.push(0); // placeholder so every block lines up; skipped below
+      blocks.push(dat.concat(ecc));
+    }
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+      blocks.forEach((block, j) => {
+        if (i !== shortLen - eccLen || j >= shortBlocks) result.push(block[i]);
+      });
+    }
+    return result;
+  }
+
+  // Penalty score from the QR spec; the mask with the lowest one scans most reliably
+  function qrPenalty(modules) {
+    const size = modules.length;
+    let score = 0;
+    let dark = 0;
+    const lines = [];
+    for (let i = 0; i < size; i++) {
+      lines.push(modules[i].map(Number).join(''));
+      lines.push(modules.map(row => Number(row[i])).join(''));
+    }
+    for (const line of lines) {
+      for (const run of line.match(/0+|1+/g)) if (run.length >= 5) score += run.length - 2;
+      // finder-like 1:1:3:1:1 runs with light space beside them; the quiet zone counts as light
+      const padded = `0000${line}0000`;
+      for (const pattern of ['10111010000', '00001011101']) {
+        for (let i = padded.indexOf(pattern); i !== -1; i = padded.indexOf(pattern, i + 1)) score += 40;
+      }
+    }
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (modules[y][x]) dark++;
+        const c = modules[y][x];
+        if (x < size - 1 && y < size - 1 && c === modules[y][x + 1] && c === modules[y + 1][x] && c === modules[y + 1][x + 1]) score += 3;
+      }
+    }
+    score += Math.floor(Math.abs(dark * 20 - size * size * 10) / (size * size)) * 10;
+    return score;
+  }
+
+  // text -> square matrix of booleans (true = dark), or null when it's too long to fit
+  function encodeQr(text) {
+    const bytes = Array.from(new TextEncoder().encode(String(text)));
+    let ver = 1;
+    while (ver <= QR_MAX_VERSION && 4 + (ver < 10 ? 8 : 16) + bytes.length * 8 > qrDataCodewords(ver) * 8) ver++;
+    if (ver > QR_MAX_VERSION) return null;
+
+    // mode, length, bytes, terminator, then alternating pad bytes to fill the version
+    const capacity = qrDataCodewords(ver);
+    const bits = [];
+    const push = (value, len) => {
+      for (let i = len - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+    push(0b0100, 4);
+    push(bytes.length, ver < 10 ? 8 : 16);
+    bytes.forEach(b => push(b, 8));
+    push(0, Math.min(4, capacity * 8 - bits.length));
+    push(0, (8 - (bits.length % 8)) % 8);
+    const data = [];
+    for (let i = 0; i < bits.length; i += 8) data.push(parseInt(bits.slice(i, i + 8).join(''), 2));
+    for (let pad = 0xec; data.length < capacity; pad ^= 0xec ^ 0x11) data.push(pad);
+    const codewords = qrCodewords(ver, data);
+
+    const size = ver * 4 + 17;
+    const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+    const fixed = Array.from({ length: size }, () => new Array(size).fill(false));
+    const set = (x, y, isDark) => {
+      modules[y][x] = isDark;
+      fixed[y][x] = true;
+    };
+
+    // timing lines, then the three finder patterns and the alignment patterns on top
+    for (let i = 0; i < size; i++) {
+      set(6, i, i % 2 === 0);
+      set(i, 6, i % 2 === 0);
+    }
+    for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+      for (let dy = -4; dy <= 4; dy++) {
+        for (let dx = -4; dx <= 4; dx++) {
+          const dist = Math.max(Math.abs(dx), Math.abs(dy));
+          const x = cx + dx;
+          const y = cy + dy;
+          if (x >= 0 && x < size && y >= 0 && y < size) set(x, y, dist !== 2 && dist !== 4);
+        }
+      }
+    }
+    const align = qrAlignmentPositions(ver);
+    const last = align.length - 1;
+    align.forEach((ay, i) => align.forEach((ax, j) => {
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return; // under a finder
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) set(ax + dx, ay + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+      }
+    }));
+
+    const drawFormat = (mask) => {
+      const info = (QR_LEVEL_M << 3) | mask;
+      let rem = info;
+      for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+      const word = ((info << 10) | rem) ^ 0x5412;
+      const bit = (i) => ((word >>> i) & 1) === 1;
+      for (let i = 0; i <= 5; i++) set(8, i, bit(i));
+      set(8, 7, bit(6));
+      set(8, 8, bit(7));
+      set(7, 8, bit(8));
+      for (let i = 9; i < 15; i++) set(14 - i, 8, bit(i));
+      for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(i));
+      for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(i));
+      set(8, size - 8, true);
+    };
+    drawFormat(0); // reserve the area; redrawn once the mask is chosen
+    if (ver >= 7) {
+      let rem = ver;
+      for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25);
+      const word = (ver << 12) | rem;
+      for (let i = 0; i < 18; i++) {
+        const isDark = ((word >>> i) & 1) === 1;
+        const a = size - 11 + (i % 3);
+        const b = Math.floor(i / 3);
+        set(a, b, isDark);
+        set(b, a, isDark);
+      }
+    }
+
+    // data zigzags up and down two columns at a time from the bottom right, skipping the timing column
+    let n = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5;
+      const upward = ((right + 1) & 2) === 0;
+      for (let vert = 0; vert < size; vert++) {
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          const y = upward ? size - 1 - vert : vert;
+          if (fixed[y][x] || n >= codewords.length * 8) continue;
+          modules[y][x] = ((codewords[n >>> 3] >>> (7 - (n & 7))) & 1) === 1;
+          n++;
+        }
+      }
+    }
+
+    const applyMask = (mask) => {
+      for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) if (!fixed[y][x] && QR_MASKS[mask](x, y)) modules[y][x] = !modules[y][x];
+      }
+    };
+    let best = 0;
+    let bestScore = Infinity;
+    QR_MASKS.forEach((_, mask) => {
+      applyMask(mask);
+      drawFormat(mask);
+      const score = qrPenalty(modules);
+      if (score < bestScore) {
+        best = mask;
+        bestScore = score;
+      }
+      applyMask(mask); // xor again to undo
+    });
+    applyMask(best);
+    drawFormat(best);
+    return modules;
+  }
+
+  // The matrix as an SVG, with the 4-module quiet zone scanners expect
+  function qrSvg(modules, label) {
+    const size = modules.length + 8;
+    let path = '';
+    modules.forEach((row, y) => row.forEach((isDark, x) => {
+      if (isDark) path += `M${x + 4},${y + 4}h1v1h-1z`;
+    }));
+    return html`<svg class="qr-code" viewBox="0 0 ${size} ${size}" role="img" aria-label="${label}" shape-rendering="crispEdges"><rect width="${size}" height="${size}" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+  }
+
+  /* -------------------------
+     Payments
+     ------------------------- */
+
+  // Customers pay the stall directly, in cash or to the vendor's UPI ID; the app only records it.
+  // The vendor confirms the money arrived from the order modal, since only their UPI app can see it.
+  const PAYMENT_METHODS = { cash: 'Cash', upi: 'UPI' };
+  const PAYMENT_STATUS_LABELS = { unpaid: 'Unpaid', paid: 'Paid', refunded: 'Refunded' };
+  const PAYMENT_TRANSITIONS = {
+    unpaid: ['paid'],
+    paid: ['refunded', 'unpaid'], // back to unpaid undoes a mistaken confirmation
+    refunded: [],
+  };
+  const UPI_ID_PATTERN = /^[a-zA-Z0-9._-]{2,256}@[a-zA-Z][a-zA-Z0-9.-]{1,63}$/; // name@bank
+
+  // Orders placed before payments were tracked count as cash, not yet collected
+  function orderPayment(order) {
+    return order.payment || { method: 'cash', status: 'unpaid', history: [] };
+  }
+
+  function describePayment(order) {
+    const payment = orderPayment(order);
+    return `${PAYMENT_METHODS[payment.method] || payment.method}, ${PAYMENT_STATUS_LABELS[payment.status].toLowerCase()}`;
+  }
+
+  // Standard upi://pay link; any UPI app opens it or scans it from the QR code
+  function upiPaymentLink(vendor, amount, note) {
+    const params = { pa: vendor.upiId, pn: vendor.name, am: Number(amount).toFixed(2), cu: 'INR', tn: note };
+    return 'upi://pay?' + Object.entries(params).map(([k, v]) => `${k}=${encodeURIComponent(v)}`).join('&');
+  }
+
+  function setPaymentStatus(orderId, status, { reference = '' } = {}) {
+    const ord = state.orders[orderId];
+    if (!ord) return { ok: false, msg: 'Order not found' };
+    const denied = authorize('order.payment', ord);
+    if (denied) return denied;
+    const payment = orderPayment(ord);
+    if (!(PAYMENT_TRANSITIONS[payment.status] || []).includes(status)) {
+      return { ok: false, msg: `Payment is ${PAYMENT_STATUS_LABELS[payment.status].toLowerCase()} and can't be marked ${(PAYMENT_STATUS_LABELS[status] || status).toLowerCase()}` };
+    }
+    if (status === 'paid' && (ord.status === 'cancelled' || ord.status === 'rejected')) {
+      return { ok: false, msg: 'This order was called off, so there is nothing to collect' };
+    }
+    const at = nowIso();
+    updateRecord('orders', orderId, {
+      payment: Object.assign({}, payment, {
+        status,
+        paidAt: status === 'paid' ? at : status === 'unpaid' ? null : payment.paidAt,
+        refundedAt: status === 'refunded' ? at : null,
+        reference: status === 'paid' ? cleanText(reference, 40) : status === 'unpaid' ? '' : payment.reference || '',
+        history: (payment.history || []).concat({ status, at, by: state.currentUserId || null }),
+      }),
+    });
+    saveState();
+    addActivity(`Order ${orderId} payment marked ${status}`);
+    return { ok: true };
+  }
+
+  // One day's takings for a stall, per method, by when the money changed hands. A refund counts on the
+  // day it was given back. Completed orders never marked paid are listed so nothing slips through.
+  function dailyReconciliation(vendorId, day) {
+    const start = new Date(day.getFullYear(), day.getMonth(), day.getDate());
+    const end = new Date(start.getFullYear(), start.getMonth(), start.getDate() + 1);
+    const within = (iso) => !!iso && new Date(iso) >= start && new Date(iso) < end;
+    const methods = {};
+    for (const method in PAYMENT_METHODS) methods[method] = { collected: 0, refunded: 0, net: 0, orders: 0 };
+    const unpaid = [];
+    for (const ord of Object.values(state.orders)) {
+      if (ord.vendorId !== vendorId) continue;
+      const payment = orderPayment(ord);
+      const row = methods[payment.method] || methods.cash;
+      const total = orderPricing(ord).total;
+      if (within(payment.paidAt)) {
+        row.collected = roundMoney(row.collected + total);
+        row.orders++;
+      }
+      if (within(payment.refundedAt)) row.refunded = roundMoney(row.refunded + total);
+      if (payment.status === 'unpaid' && ord.status === 'completed' && within(ord.completedAt)) unpaid.push(ord);
+    }
+    for (const method in methods) methods[method].net = roundMoney(methods[method].collected - methods[method].refunded);
+    const unpaidTotal = roundMoney(unpaid.reduce((sum, o) => sum + orderPricing(o).total, 0));
+    return { methods, unpaid, unpaidTotal };
+  }
+
+  /* -------------------------
+     Sales Analytics
+     ------------------------- */
+
+  // Sales are what customers paid for the goods: item prices stored at checkout, less discounts.
+  // Delivery fees and tax are left out so pickup and delivery days compare fairly.
+  const ANALYTICS_RANGES = {
+    days: { unit: 'day', periods: 14 },
+    weeks: { unit: 'week', periods: 8 },
+  };
+  const ANALYTICS_TOP_PRODUCTS = 5;
+
+  function orderSales(order) {
+    const pricing = orderPricing(order);
+    return roundMoney(pricing.subtotal - (pricing.discount ? pricing.discount.amount : 0));
+  }
+
+  // Local midnight on the Monday of the week `date` falls in
+  function startOfWeek(date) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() - ((date.getDay() + 6) % 7));
   }
 
-  function addUserIfNotExists(name, phone, role = 'customer', category = '') {
-    // if phone exists, return that user
-    for (const id in state.users) {
-      if (state.users[id].phone === phone) return state.users[id];
+  // Everything the vendor's sales card shows, for the days or weeks up to `now`.
+  // Sales, best sellers and repeat customers count completed orders (by completion time);
+  // busy hours and cancellations count every order placed in the range.
+  function vendorAnalytics(vendorId, rangeKey = 'days', now = new Date()) {
+    const range = ANALYTICS_RANGES[rangeKey] || ANALYTICS_RANGES.days;
+    const step = range.unit === 'week' ? 7 : 1;
+    const last = range.unit === 'week' ? startOfWeek(now) : new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const buckets = [];
+    for (let i = range.periods - 1; i >= 0; i--) {
+      buckets.push({ start: new Date(last.getFullYear(), last.getMonth(), last.getDate() - i * step), sales: 0, orders: 0 });
     }
-    const id = uid('u_');
-    state.users[id] = { id, name, phone, role, category };
-    saveState();
-    return state.users[id];
+    const from = buckets[0].start;
+    const bucketFor = (date) => buckets.slice().reverse().find(b => date >= b.start) || null;
+    const inRange = (iso) => !!iso && new Date(iso) >= from && new Date(iso) <= now;
+
+    const orders = Object.values(state.orders).filter(o => o.vendorId === vendorId);
+    const completedAt = (o) => o.completedAt || o.createdAt;
+    const completed = orders.filter(o => o.status === 'completed' && inRange(completedAt(o)));
+    const placed = orders.filter(o => inRange(o.createdAt));
+
+    const products = {};
+    const customers = new Set();
+    for (const o of completed) {
+      const bucket = bucketFor(new Date(completedAt(o)));
+      bucket.sales = roundMoney(bucket.sales + orderSales(o));
+      bucket.orders++;
+      customers.add(o.customerId);
+      for (const it of o.items) {
+        const item = orderItemInfo(it);
+        const row = products[it.productId] || (products[it.productId] = { productId: it.productId, name: item.name, qty: 0, sales: 0 });
+        row.qty += it.qty;
+        row.sales = roundMoney(row.sales + item.price * it.qty);
+      }
+    }
+    const totalSales = roundMoney(buckets.reduce((sum, b) => sum + b.sales, 0));
+
+    // a returning customer has completed more than one order here, counting ones before the range
+    const completedBy = {};
+    for (const o of orders) if (o.status === 'completed') completedBy[o.customerId] = (completedBy[o.customerId] || 0) + 1;
+    const repeatCustomers = [...customers].filter(id => completedBy[id] > 1).length;
+
+    // busy hours go by when the customer wanted the order, which is the pickup time for scheduled ones
+    const hours = new Array(24).fill(0);
+    for (const o of placed) if (!ORDER_NOT_COUNTED.includes(o.status)) hours[new Date(o.schedule || o.createdAt).getHours()]++;
+
+    const cancelled = placed.filter(o => o.status === 'cancelled').length;
+    const rejected = placed.filter(o => o.status === 'rejected').length;
+    return {
+      range,
+      buckets,
+      totalSales,
+      completedOrders: completed.length,
+      averageOrderValue: completed.length ? roundMoney(totalSales / completed.length) : 0,
+      topProducts: Object.values(products).sort((a, b) => b.qty - a.qty || b.sales - a.sales).slice(0, ANALYTICS_TOP_PRODUCTS),
+      hours,
+      customers: customers.size,
+      repeatCustomers,
+      repeatRate: customers.size ? repeatCustomers / customers.size : null,
+      placedOrders: placed.length,
+      cancelled,
+      rejected,
+      cancellationRate: placed.length ? (cancelled + rejected) / placed.length : null,
+    };
   }
 
-  function addActivity(text) {
-    state.recentActivity = state.recentActivity || [];
-    state.recentActivity.unshift(`${new Date().toLocaleString()}: ${text}`);
-    if (state.recentActivity.length > 50) state.recentActivity.pop();
-    saveState();
-    ui.renderActivity();
+  // 1250 -> "1.3k", so values fit over narrow bars
+  function compactNumber(n) {
+    return n >= 1000 ? `${roundMoney(n / 1000).toFixed(1).replace(/\.0$/, '')}k` : String(n);
+  }
+
+  // Vertical bar chart drawn as inline SVG, so charts work offline with no chart library.
+  // bars: [{ label, value, title }]; only every `labelEvery`th label is drawn, to keep dense axes readable.
+  function barChartSvg(bars, { label, labelEvery = 1, format = compactNumber } = {}) {
+    const max = Math.max(1, ...bars.map(b => b.value));
+    const slot = 20;
+    const top = 10;
+    const plot = 70;
+    const width = bars.length * slot;
+    return html`<svg class="chart" viewBox="0 0 ${width} ${top + plot + 12}" role="img" aria-label="${label}">${bars.map((b, i) => {
+      const x = i * slot;
+      const h = b.value ? Math.max(1, Math.round((b.value / max) * plot)) : 0;
+      return html`<g><title>${b.title}</title>
+        <rect class="chart-hit" x="${x}" y="0" width="${slot}" height="${top + plot}"/>
+        <rect class="chart-bar" x="${x + 3}" y="${top + plot - h}" width="${slot - 6}" height="${h}"/>
+        ${b.value ? html`<text class="chart-value" x="${x + slot / 2}" y="${top + plot - h - 2}">${format(b.value)}</text>` : ''}
+        ${i % labelEvery === 0 ? html`<text class="chart-label" x="${x + slot / 2}" y="${top + plot + 9}">${b.label}</text>` : ''}
+      </g>`;
+    })}<line class="chart-axis" x1="0" y1="${top + plot}" x2="${width}" y2="${top + plot}"/></svg>`;
+  }
+
+  // 0.25 -> "25%"; no orders to measure -> "—"
+  function formatRate(rate) {
+    return rate === null ? '—' : `${Math.round(rate * 100)}%`;
   }
 
   /* -------------------------
      Orders & Cart
      ------------------------- */
 
-  // A simple cart model per customer (kept in memory while page open)
+  // The signed-in customer's cart. Carts are kept per customer in state.carts (on this device only,
+  // never synced), so they survive reloads and sign-outs and nobody inherits someone else's.
   const cart = {
-    customerId: null,
-    items: [], // [{productId, vendorId, qty}]
+    get customerId() {
+      return state.currentUserId;
+    },
+    get items() {
+      const saved = state.carts[state.currentUserId];
+      return saved ? saved.items : [];
+    },
+    set items(items) {
+      updateCart({ items });
+    },
+    get fulfilment() {
+      const saved = state.carts[state.currentUserId];
+      return (saved && saved.fulfilment) || 'pickup';
+    },
+    set fulfilment(fulfilment) {
+      updateCart({ fulfilment: fulfilment === 'delivery' ? 'delivery' : 'pickup' });
+    },
+    get payment() {
+      const saved = state.carts[state.currentUserId];
+      return (saved && saved.payment) || 'cash';
+    },
+    set payment(method) {
+      updateCart({ payment: method === 'upi' ? 'upi' : 'cash' });
+    },
+    get codes() {
+      const saved = state.carts[state.currentUserId];
+      return (saved && saved.codes) || [];
+    },
+    set codes(codes) {
+      updateCart({ codes });
+    },
   };
 
+  function updateCart(changes) {
+    const customerId = state.currentUserId;
+    if (!customerId) return;
+    const saved = state.carts[customerId] || { items: [], notices: [] };
+    state.carts[customerId] = Object.assign({}, saved, changes, { updatedAt: nowIso() });
+    saveState();
+  }
+
+  function cartLine(productId) {
+    return cart.items.find((it) => it.productId === productId);
+  }
+
+  // Replace one line, or drop it when fn returns null
+  function updateCartLine(productId, fn) {
+    cart.items = cart.items.map((it) => (it.productId === productId ? fn(it) : it)).filter(Boolean);
+    ui.renderCart();
+  }
+
   function cartAdd(productId, qty = 1) {
     const product = state.products[productId];
     if (!product) return false;
+    if (!state.currentUserId) {
+      ui.showToast('Login to add items to your cart', 2000);
+      return false;
+    }
     // if cart contains items from other vendor, allow but note vendor separation
-    const existing = cart.items.find((it) => it.productId === productId);
+    const existing = cartLine(productId);
+    const wanted = (existing ? existing.qty : 0) + qty;
+    if (isProductUnavailable(product)) {
+      ui.showToast(`${product.name} is unavailable today`, 2200);
+      return false;
+    }
+    if (!hasStock(product, wanted)) {
+      ui.showToast(product.stock > 0 ? `Only ${product.stock} ${product.name} left` : `${product.name} is sold out`, 2200);
+      return false;
+    }
     if (existing) {
-      existing.qty += qty;
+      updateCartLine(productId, (it) => Object.assign({}, it, { qty: wanted }));
     } else {
-      cart.items.push({ productId, vendorId: product.vendorId, qty });
+      cart.items = cart.items.concat({ productId, vendorId: product.vendorId, qty, name: product.name, price: product.price, note: '' });
+      ui.renderCart();
     }
-    ui.renderCart();
     addActivity(`Added to cart: ${product.name}`);
     return true;
   }
 
+  // +/− buttons: 0 removes the line, more than the stall has left is refused
+  function cartSetQty(productId, qty) {
+    const product = state.products[productId];
+    const wanted = Math.floor(Number(qty));
+    if (!cartLine(productId)) return { ok: false, msg: 'Item is not in your cart' };
+    if (!Number.isFinite(wanted)) return { ok: false, msg: 'Quantity must be a number' };
+    if (wanted <= 0) {
+      cartRemove(productId);
+      return { ok: true };
+    }
+    if (product && !hasStock(product, wanted)) return { ok: false, msg: `Only ${product.stock} ${product.name} left` };
+    updateCartLine(productId, (it) => Object.assign({}, it, { qty: wanted }));
+    return { ok: true };
+  }
+
+  // e.g. "less spicy" — travels with the order to the vendor
+  function cartSetNote(productId, note) {
+    if (!cartLine(productId)) return { ok: false, msg: 'Item is not in your cart' };
+    updateCartLine(productId, (it) => Object.assign({}, it, { note: cleanText(note, TEXT_LIMITS.note) }));
+    return { ok: true };
+  }
+
   function cartRemove(productId) {
-    cart.items = cart.items.filter((it) => it.productId !== productId);
-    ui.renderCart();
-    saveState();
+    updateCartLine(productId, () => null);
   }
 
   function cartClear() {
-    cart.items = [];
+    updateCart({ items: [], codes: [], notices: [] });
     ui.renderCart();
   }
 
-  function cartSummary() {
-    let subtotal = 0,
-      count = 0;
+  // Drop lines whose product is gone and pick up price changes, leaving a notice for the customer.
+  // Every path that changes products re-renders the cart, so renderCart() calls this first.
+  // Returns true when the cart changed.
+  function reconcileCart() {
+    const saved = state.carts[state.currentUserId];
+    if (!saved || !saved.items.length) return false;
+    const notices = [];
+    const items = [];
+    for (const it of saved.items) {
+      const p = state.products[it.productId];
+      if (!p || p.vendorId !== it.vendorId) {
+        notices.push(`${it.name || 'An item'} is no longer sold and was removed from your cart`);
+      } else if (it.price !== p.price) {
+        notices.push(`${p.name} now costs ₹${p.price} (was ₹${it.price})`);
+        items.push(Object.assign({}, it, { name: p.name, price: p.price }));
+      } else {
+        items.push(it);
+      }
+    }
+    if (!notices.length) return false;
+    updateCart({ items, notices: (saved.notices || []).concat(notices).slice(-5) });
+    return true;
+  }
+
+  function dismissCartNotices() {
+    updateCart({ notices: [] });
+    ui.renderCart();
+  }
+
+  // Cart lines grouped by vendor, the same way placeOrder splits them into orders
+  function cartGroups() {
+    const groups = {};
     for (const it of cart.items) {
-      const prod = state.products[it.productId];
-      if (!prod) continue;
-      subtotal += prod.price * it.qty;
-      count += it.qty;
+      const p = state.products[it.productId];
+      if (!p) continue;
+      const g = groups[it.vendorId] || (groups[it.vendorId] = { vendorId: it.vendorId, lines: [], subtotal: 0, count: 0 });
+      g.lines.push({ item: it, product: p });
+      g.subtotal += p.price * it.qty;
+      g.count += it.qty;
     }
-    return { subtotal, count };
+    return Object.values(groups);
+  }
+
+  // Each vendor group priced for the chosen pickup/delivery, plus the cart-wide totals. `at` is the
+  // time the order is for, so the cart shows the same deals placeOrder will apply
+  function cartSummary(at = new Date()) {
+    const options = { fulfilment: cart.fulfilment, customerLoc: ui.getCustomerLocation(), customerId: state.currentUserId, codes: cart.codes, at };
+    const totals = { count: 0, subtotal: 0, discount: 0, deliveryFee: 0, tax: 0, total: 0 };
+    const groups = cartGroups().map((g) => {
+      const quote = priceVendorOrder(g.vendorId, g.lines.map(l => ({ productId: l.product.id, price: l.product.price, qty: l.item.qty })), options);
+      totals.count += g.count;
+      totals.discount = roundMoney(totals.discount + (quote.discount ? quote.discount.amount : 0));
+      for (const key of ['subtotal', 'deliveryFee', 'tax', 'total']) totals[key] = roundMoney(totals[key] + quote[key]);
+      return Object.assign({}, g, { quote });
+    });
+    return Object.assign(totals, { groups });
   }
 
   // Place order: immediate or scheduled
   function placeOrder(customerId, scheduleIso = null, contactName = '', contactPhone = '') {
     if (!customerId) return { ok: false, msg: 'Customer not logged in' };
+    const denied = authorize('order.place', { customerId });
+    if (denied) return denied;
+    if (reconcileCart()) {
+      ui.renderCart();
+      return { ok: false, msg: 'Your cart changed since you added these items — check it and place the order again' };
+    }
     if (!cart.items.length) return { ok: false, msg: 'Cart is empty' };
 
     // Group items by vendor — create separate orders per vendor
     const byVendor = {};
     for (const it of cart.items) {
       if (!byVendor[it.vendorId]) byVendor[it.vendorId] = [];
-      byVendor[it.vendorId].push({ productId: it.productId, qty: it.qty });
+      // snapshot name & price so order history doesn't change when the vendor edits the catalog
+      const p = state.products[it.productId] || {};
+      byVendor[it.vendorId].push(Object.assign({ productId: it.productId, qty: it.qty, name: p.name, price: p.price }, it.note ? { note: it.note } : {}));
+    }
+
+    // Check every line before touching stock so a shortage leaves nothing half-placed
+    const shortage = findStockShortage(cart.items);
+    if (shortage) return { ok: false, msg: shortage };
+    const closed = closedVendorMessage(Object.keys(byVendor), scheduleIso ? new Date(scheduleIso) : new Date(), !!scheduleIso);
+    if (closed) return { ok: false, msg: closed };
+    // discounts are judged at the time the order is for, so a scheduled order gets that hour's deals
+    const quotes = {};
+    const priceOptions = {
+      fulfilment: cart.fulfilment,
+      customerLoc: ui.getCustomerLocation(),
+      customerId,
+      codes: cart.codes,
+      at: scheduleIso ? new Date(scheduleIso) : new Date(),
+    };
+    for (const vendorId in byVendor) {
+      const { problem, notes, ...pricing } = priceVendorOrder(vendorId, byVendor[vendorId], priceOptions);
+      if (problem) return { ok: false, msg: problem };
+      quotes[vendorId] = pricing;
     }
+    const method = cart.payment;
+    const cashOnly = method === 'upi' && Object.keys(byVendor).map(id => state.vendors[id]).find(v => !v.upiId);
+    if (cashOnly) return { ok: false, msg: `${cashOnly.name} doesn't take UPI yet — choose cash to order from them` };
 
     const createdOrderIds = [];
     for (const vendorId in byVendor) {
@@ -337,12 +3200,20 @@
         schedule: scheduleIso || null,
         status: 'pending',
         createdAt: nowIso(),
-        contactName,
-        contactPhone,
+        history: [],
+        contactName: cleanText(contactName),
+        contactPhone: cleanText(contactPhone, 20),
+        pricing: quotes[vendorId],
+        payment: { method, status: 'unpaid', paidAt: null, refundedAt: null, reference: '', history: [] },
       };
-      state.orders[orderId] = order;
+      order.history.push({ status: 'pending', at: order.createdAt, by: customerId });
+      order.payment.history.push({ status: 'unpaid', at: order.createdAt, by: customerId });
+      takeStock(order);
+      putRecord('orders', order);
+      recordOrderPopularity(order, 'placed');
       state.vendors[vendorId].orders = state.vendors[vendorId].orders || [];
-      state.vendors[vendorId].orders.push(orderId);
+      state.vendors[vendorId].orders.push(orderId); // local index, see reindexVendors
+      markDirty('vendors', vendorId);
       createdOrderIds.push(orderId);
       addActivity(`Order placed (#${orderId}) for vendor ${state.vendors[vendorId].name}`);
     }
@@ -359,33 +3230,20 @@
     return { ok: true, ids: createdOrderIds };
   }
 
-  // Process scheduled orders: if schedule time <= now and status pending -> notify vendor & customer
+  // Create the persisted jobs for an order (due notification + vendor reminder) and run any already due
   function scheduleOrderProcessing(orderId) {
     const order = state.orders[orderId];
     if (!order) return;
+    cancelJobsForOrder(orderId);
 
-    if (!order.schedule) {
-      // immediate: call notify vendor/customer now
-      notifyOrderNew(order);
-      return;
-    }
-
-    const when = new Date(order.schedule).getTime();
-    const now = Date.now();
-    const ms = when - now;
-    if (ms <= 0) {
-      // scheduled time passed -> notify now
-      notifyOrderNew(order);
-      return;
+    const dueMs = order.schedule ? new Date(order.schedule).getTime() : Date.now();
+    createJob('order-due', orderId, dueMs);
+    const reminderMs = dueMs - (Number(settings.vendorReminderMinutes) || 0) * 60 * 1000;
+    if (order.schedule && reminderMs < dueMs && reminderMs > Date.now()) {
+      createJob('order-reminder', orderId, reminderMs, { audience: 'vendor' });
     }
-
-    // set timeout to trigger at scheduled time (note: will not survive page reload)
-    setTimeout(() => {
-      // re-check order still pending
-      const fresh = state.orders[orderId];
-      if (!fresh) return;
-      if (fresh.status === 'pending') notifyOrderNew(fresh);
-    }, ms + 500);
+    saveState();
+    runDueJobs();
   }
 
   function notifyOrderNew(order) {
@@ -393,12 +3251,18 @@
     const vendor = state.vendors[order.vendorId];
     const customer = state.users[order.customerId];
     addActivity(`Order #${order.id} ready for vendor ${vendor.name}`);
+    addNotification(vendor.userId, {
+      type: 'new-order',
+      title: `New order ${order.id} from ${customer.name}`,
+      body: order.schedule ? `For ${new Date(order.schedule).toLocaleString()}` : 'Wanted now',
+      orderId: order.id,
+    });
 
     // Show a UI notification for vendor if logged-in vendor is current user
     if (state.currentUserId === vendor.userId) {
       ui.showToast(`New order ${order.id} from ${customer.name}`, 4000);
       ui.renderVendorOrders();
-    } else {
+    } else if (state.currentUserId === order.customerId) {
       ui.showToast(`Order ${order.id} placed — vendor will be notified`, 3000);
     }
 
@@ -408,91 +3272,561 @@
     }
   }
 
+  function notifyOrderReminder(order) {
+    const vendor = state.vendors[order.vendorId];
+    if (!vendor) return;
+    const customer = state.users[order.customerId] || {};
+    const mins = Math.max(1, Math.round((new Date(order.schedule).getTime() - Date.now()) / 60000));
+    const msg = `Order ${order.id} for ${customer.name || 'a customer'} is due in ${mins} min`;
+    addActivity(`Reminder: ${msg}`);
+    addNotification(vendor.userId, { type: 'reminder', title: 'Upcoming order', body: msg, orderId: order.id });
+    if (state.currentUserId !== vendor.userId) return;
+    if (settings.notificationMode === 'browser') ui.browserNotify('Upcoming order', msg);
+    else ui.showToast(msg, 4000);
+  }
+
+  /* -------------------------
+     Notification Inbox
+     ------------------------- */
+
+  // Every order update, new order, reminder and nearby alert is kept in the recipient's inbox
+  // (state.notifications, on this device only) as well as shown as a toast, so nothing is lost
+  // when a toast disappears or the alert was meant for someone else signed in on this device.
+  const NOTIFICATION_LIMIT = 100; // per user; the oldest are dropped first
+  const NOTIFICATION_ICONS = { order: '📦', 'new-order': '🛎️', reminder: '⏰', nearby: '📍', left: '👋' };
+
+  function notificationsFor(userId) {
+    const inbox = state.notifications[userId];
+    return inbox ? inbox.items : [];
+  }
+
+  function unreadNotificationCount(userId) {
+    return notificationsFor(userId).filter(n => !n.read).length;
+  }
+
+  // orderId / vendorId are what clicking the notification opens; status is the order status it reports
+  function addNotification(userId, { type, title, body = '', orderId = null, vendorId = null, status = null }) {
+    if (!userId || !state.users[userId]) return null;
+    const entry = { id: uid('n_'), type, title, body, orderId, vendorId, status, at: nowIso(), read: false };
+    state.notifications[userId] = { items: [entry].concat(notificationsFor(userId)).slice(0, NOTIFICATION_LIMIT), updatedAt: nowIso() };
+    saveState();
+    ui.renderNotifications();
+    return entry;
+  }
+
+  // What the customer is told when their order moves on
+  function orderUpdateMessage(orderId, status, reason) {
+    if (status === 'completed') return `Order ${orderId} is now completed — rate it from your Orders`;
+    if (status === 'ready') return `Order ${orderId} is ready for pickup`;
+    if (status === 'rejected') return `Order ${orderId} was rejected by the vendor: ${reason}`;
+    return `Order ${orderId} is now ${status}`;
+  }
+
+  // An order whose status was changed in another tab or on another device: its customer (the vendor,
+  // for a cancel) gets the entry updateOrderStatus gave them there, if they use this device and
+  // don't have one for this order and status yet
+  function notifyOrderStatusElsewhere(order) {
+    if (order.status === 'pending') return;
+    const vendor = state.vendors[order.vendorId];
+    const userId = order.status === 'cancelled' ? vendor && vendor.userId : order.customerId;
+    if (!userId || (userId !== state.currentUserId && !readServerSessions()[userId])) return;
+    if (notificationsFor(userId).some(n => n.orderId === order.id && n.status === order.status)) return;
+    if (order.status === 'cancelled') {
+      addNotification(userId, { type: 'order', title: 'Order cancelled', body: `Order ${order.id} was cancelled by the customer`, orderId: order.id, status: order.status });
+    } else {
+      addNotification(userId, { type: 'order', title: 'Order update', body: orderUpdateMessage(order.id, order.status, order.rejectionReason), orderId: order.id, status: order.status });
+    }
+  }
+
+  // ids = null marks the whole inbox read
+  function markNotificationsRead(userId, ids = null) {
+    const items = notificationsFor(userId);
+    if (!items.some(n => !n.read && (!ids || ids.includes(n.id)))) return;
+    state.notifications[userId] = {
+      items: items.map(n => (!n.read && (!ids || ids.includes(n.id)) ? Object.assign({}, n, { read: true }) : n)),
+      updatedAt: nowIso(),
+    };
+    saveState();
+    ui.renderNotifications();
+  }
+
+  function clearNotifications(userId) {
+    if (!notificationsFor(userId).length) return;
+    state.notifications[userId] = { items: [], updatedAt: nowIso() };
+    saveState();
+    ui.renderNotifications();
+  }
+
+  // Mark read and open what it was about; the order or vendor may have gone since
+  function openNotification(notificationId) {
+    const userId = state.currentUserId;
+    const n = notificationsFor(userId).find(x => x.id === notificationId);
+    if (!n) return { ok: false, msg: 'Notification not found' };
+    markNotificationsRead(userId, [n.id]);
+    if (n.orderId) {
+      if (!state.orders[n.orderId]) return { ok: false, msg: 'That order is no longer on this device' };
+      ui.closeModal('modal-notifications');
+      openOrderModal(n.orderId);
+    } else if (n.vendorId) {
+      if (!state.vendors[n.vendorId]) return { ok: false, msg: 'That vendor is no longer listed' };
+      ui.closeModal('modal-notifications');
+      ui.openVendorModal(n.vendorId, ui.getCustomerLocation());
+    }
+    return { ok: true };
+  }
+
+  /* -------------------------
+     Scheduled Jobs
+     ------------------------- */
+
+  // Jobs are stored in state.jobs so they survive reloads. A single timer is armed for the
+  // earliest open job; on start (and when the tab becomes visible) anything overdue is caught up.
+  // Tabs share state.jobs, so only one of them (the job runner) fires jobs; the rest see the
+  // results through cross-tab sync and take over when the runner's tab closes.
+  const JOB_MAX_TIMER_MS = 6 * 60 * 60 * 1000; // re-arm at least this often; setTimeout overflows past ~24.8 days
+  const JOB_RETENTION_MS = 7 * 24 * 60 * 60 * 1000; // fired/cancelled jobs are pruned after this
+  const JOB_NOTIFICATION_TYPES = ['new-order', 'reminder']; // announced again by tabs that aren't the runner
+  const JOB_RUNNER_LOCK = 'sv_job_runner'; // Web Locks name, or localStorage key of the lease
+  const JOB_LEASE_MS = 20 * 1000; // without Web Locks: the runner renews its lease every quarter of this
+  let jobTimer = null;
+  let isJobRunner = false;
+
+  function createJob(type, orderId, runAtMs, extra = {}) {
+    const id = uid('j_');
+    state.jobs = state.jobs || {};
+    state.jobs[id] = Object.assign({
+      id,
+      type,
+      orderId,
+      runAt: new Date(runAtMs).toISOString(),
+      createdAt: nowIso(),
+      firedAt: null,
+      cancelledAt: null,
+    }, extra);
+    return state.jobs[id];
+  }
+
+  function jobsForOrder(orderId) {
+    return Object.values(state.jobs || {}).filter(j => j.orderId === orderId);
+  }
+
+  function isJobOpen(job) {
+    return !job.firedAt && !job.cancelledAt;
+  }
+
+  function cancelJobsForOrder(orderId) {
+    for (const job of jobsForOrder(orderId)) {
+      if (isJobOpen(job)) job.cancelledAt = nowIso();
+    }
+  }
+
+  // true once the vendor has been told about the order, after which it can't be rescheduled
+  function orderHasFired(orderId) {
+    return jobsForOrder(orderId).some(j => j.type === 'order-due' && j.firedAt && !j.skipped);
+  }
+
+  function fireJob(job, now) {
+    job.firedAt = new Date(now).toISOString();
+    const order = state.orders[job.orderId];
+    if (!order || isTerminalStatus(order.status)) {
+      job.skipped = true;
+      return;
+    }
+    if (job.type === 'order-due') {
+      order.notifiedAt = job.firedAt; // per device, not synced
+      markDirty('orders', order.id);
+      notifyOrderNew(order);
+    } else if (job.type === 'order-reminder') {
+      // a reminder caught up after the order itself is due has nothing left to remind about
+      if (!order.schedule || new Date(order.schedule).getTime() <= now) {
+        job.skipped = true;
+        return;
+      }
+      notifyOrderReminder(order);
+    }
+  }
+
+  function pruneJobs(now) {
+    for (const id in state.jobs) {
+      const job = state.jobs[id];
+      const closedAt = job.firedAt || job.cancelledAt;
+      if (closedAt && now - new Date(closedAt).getTime() > JOB_RETENTION_MS) delete state.jobs[id];
+    }
+  }
+
+  function runDueJobs() {
+    if (jobTimer) {
+      clearTimeout(jobTimer);
+      jobTimer = null;
+    }
+    if (!isJobRunner) return;
+    const now = Date.now();
+    const open = Object.values(state.jobs || {}).filter(isJobOpen).sort((a, b) => (a.runAt > b.runAt ? 1 : -1));
+    let next = null;
+    let fired = false;
+    for (const job of open) {
+      if (new Date(job.runAt).getTime() > now) {
+        next = job;
+        break;
+      }
+      fireJob(job, now);
+      fired = true;
+    }
+    if (fired) {
+      pruneJobs(now);
+      saveState();
+    }
+    if (next) {
+      const ms = Math.min(new Date(next.runAt).getTime() - now + 250, JOB_MAX_TIMER_MS);
+      jobTimer = setTimeout(runDueJobs, ms);
+    }
+  }
+
+  function startScheduler() {
+    state.jobs = state.jobs || {};
+    // Orders saved before jobs were persisted: only upcoming pending ones still need a job,
+    // everything older was already announced and must not be re-notified.
+    const withJobs = new Set(Object.values(state.jobs).map(j => j.orderId));
+    for (const o of Object.values(state.orders || {})) {
+      if (withJobs.has(o.id)) continue;
+      if (o.status === 'pending' && o.schedule && new Date(o.schedule).getTime() > Date.now()) {
+        scheduleOrderProcessing(o.id);
+      }
+    }
+    electJobRunner();
+    // background tabs throttle timers; catch up as soon as the page is visible again
+    document.addEventListener('visibilitychange', () => {
+      if (!document.hidden) runDueJobs();
+    });
+  }
+
+  // Web Locks hand the lock to the next waiting tab when the runner's tab closes. Elsewhere a
+  // lease in localStorage does: whoever finds it expired (or its own) renews it and runs the jobs.
+  function electJobRunner() {
+    if (navigator.locks && typeof navigator.locks.request === 'function') {
+      navigator.locks.request(JOB_RUNNER_LOCK, () => {
+        isJobRunner = true;
+        runDueJobs();
+        return new Promise(() => {}); // held for the life of the tab
+      }).catch(e => console.warn('Could not take the job runner lock', e));
+      return;
+    }
+    renewJobLease();
+    setInterval(renewJobLease, JOB_LEASE_MS / 4);
+    window.addEventListener('pagehide', () => {
+      if (!isJobRunner) return;
+      try {
+        localStorage.removeItem(JOB_RUNNER_LOCK);
+      } catch (e) {}
+    });
+  }
+
+  function renewJobLease() {
+    const now = Date.now();
+    let lease = null;
+    try {
+      lease = JSON.parse(localStorage.getItem(JOB_RUNNER_LOCK));
+    } catch (e) {}
+    if (lease && lease.tabId !== TAB_ID && lease.until > now) {
+      isJobRunner = false;
+      return;
+    }
+    try {
+      localStorage.setItem(JOB_RUNNER_LOCK, JSON.stringify({ tabId: TAB_ID, until: now + JOB_LEASE_MS }));
+    } catch (e) {}
+    if (isJobRunner) return;
+    isJobRunner = true;
+    runDueJobs();
+  }
+
+  function rescheduleOrder(orderId, scheduleIso) {
+    const ord = state.orders[orderId];
+    if (!ord) return { ok: false, msg: 'Order not found' };
+    if (!can('order.reschedule', ord)) return { ok: false, msg: 'Only the customer who placed this order can reschedule it' };
+    if (ord.status !== 'pending' || !ord.schedule) return { ok: false, msg: 'Only pending scheduled orders can be rescheduled' };
+    if (orderHasFired(orderId)) return { ok: false, msg: 'This order has already been sent to the vendor' };
+    const when = new Date(scheduleIso).getTime();
+    if (!Number.isFinite(when) || when <= Date.now()) return { ok: false, msg: 'Pick a time in the future' };
+    const closed = closedVendorMessage([ord.vendorId], new Date(when), true);
+    if (closed) return { ok: false, msg: closed };
+    updateRecord('orders', orderId, { schedule: new Date(when).toISOString() });
+    scheduleOrderProcessing(orderId);
+    addActivity(`Order ${orderId} rescheduled to ${new Date(when).toLocaleString()}`);
+    return { ok: true };
+  }
+
+  // Customer cancellation — allowed while the order is still pending
+  function cancelOrder(orderId) {
+    const ord = state.orders[orderId];
+    if (!ord) return { ok: false, msg: 'Order not found' };
+    if (!can('order.cancel', ord)) return { ok: false, msg: 'Only the customer who placed this order can cancel it' };
+    if (!canTransition(ord.status, 'cancelled')) return { ok: false, msg: 'Only pending orders can be cancelled' };
+    return updateOrderStatus(orderId, 'cancelled');
+  }
+
   /* -------------------------
      Proximity & Location
      ------------------------- */
 
-  // Periodically check proximity between current customer and active vendors and send notifications
-  let proximityInterval = null;
-  let lastProxNotified = {}; // vendorId -> timestamp
+  // A signed-in customer who turns on tracking is followed with watchPosition while the page is
+  // visible. Fixes less accurate than GEO_MAX_ACCURACY_M are dropped. Each active vendor is a
+  // geofence: entering the proximity radius announces the vendor once, and only moving past the
+  // wider exit radius counts as leaving, so walking along the edge doesn't flap. While the page is
+  // hidden the watch is stopped and a coarse fix is taken every few minutes instead, to save battery.
+  const GEO_MAX_ACCURACY_M = 150;
+  const GEO_MIN_MOVE_KM = 0.03; // smaller moves are GPS jitter: nothing is re-rendered
+  const GEO_SAVE_MOVE_KM = 0.25; // _lastKnownLocation syncs with the user record, so it's only updated after real moves
+  const GEO_HIDDEN_INTERVAL_MS = 5 * 60 * 1000;
+  const GEOFENCE_RECHECK_MS = 30 * 1000; // vendors open, close and move too; the last fix is re-tested this often
+  const GEOFENCE_EXIT_MARGIN_KM = 0.1; // the exit radius is this much wider, or 20% wider when that's more
+
+  let geoWatchId = null;
+  let geoHiddenTimer = null;
+  let geofenceTimer = null;
+  let geoVisibilityBound = false;
+  let liveLocation = null; // { userId, lat, lng, accuracy, at } — latest accepted fix, this tab only
+  let geoStatus = { kind: 'off', accuracy: null }; // off | waiting | live | inaccurate | denied | unavailable
+  let geofence = { userId: null, inside: {} }; // inside: vendorId -> { enteredAt, distanceKm }
+
+  function geofenceExitKm(radius) {
+    return radius + Math.max(GEOFENCE_EXIT_MARGIN_KM, radius * 0.2);
+  }
+
+  function trackedCustomer() {
+    const user = state.users[state.currentUserId];
+    return user && user.role === 'customer' ? user : null;
+  }
+
+  // The opt-in belongs to the customer who gave it, not to whoever signs in on this device next
+  function wantsLocationTracking(userId) {
+    return !!(settings.trackLocationUsers && settings.trackLocationUsers[userId]);
+  }
+
+  function setLocationTrackingWanted(userId, on) {
+    const users = Object.assign({}, settings.trackLocationUsers);
+    if (on) users[userId] = true;
+    else delete users[userId];
+    settings.trackLocationUsers = users;
+    saveSettings();
+  }
+
+  function isTrackingLocation() {
+    return geoWatchId !== null || geoHiddenTimer !== null;
+  }
+
+  function setGeoStatus(kind, accuracy = null) {
+    geoStatus = { kind, accuracy };
+    ui.renderGeoStatus();
+  }
+
+  function startLocationTracking() {
+    const previous = geoStatus;
+    stopLocationTracking();
+    if (!trackedCustomer()) return;
+    if (!navigator.geolocation) return setGeoStatus('unavailable');
+    if (document.hidden) {
+      geoHiddenTimer = setInterval(takeHiddenFix, GEO_HIDDEN_INTERVAL_MS);
+    } else {
+      geoWatchId = navigator.geolocation.watchPosition(onGeoFix, onGeoError, { enableHighAccuracy: true, maximumAge: 10 * 1000, timeout: 30 * 1000 });
+    }
+    // a restart when the page hides or shows keeps the last fix's status
+    if (previous.kind === 'live' || previous.kind === 'inaccurate') setGeoStatus(previous.kind, previous.accuracy);
+    else setGeoStatus('waiting');
+  }
+
+  function stopLocationTracking() {
+    if (geoWatchId !== null && navigator.geolocation) navigator.geolocation.clearWatch(geoWatchId);
+    if (geoHiddenTimer) clearInterval(geoHiddenTimer);
+    geoWatchId = null;
+    geoHiddenTimer = null;
+    setGeoStatus(geoStatus.kind === 'denied' ? 'denied' : 'off');
+  }
+
+  function takeHiddenFix() {
+    navigator.geolocation.getCurrentPosition(onGeoFix, onGeoError, { enableHighAccuracy: false, maximumAge: GEO_HIDDEN_INTERVAL_MS, timeout: 60 * 1000 });
+  }
+
+  // Swap the continuous watch for the occasional coarse fix and back as the page hides and shows
+  function onGeoVisibilityChange() {
+    if (!isTrackingLocation()) return;
+    startLocationTracking();
+    if (!document.hidden) proximityScanOnce();
+  }
+
+  function onGeoFix(pos) {
+    const user = trackedCustomer();
+    if (!user) return stopLocationTracking(); // signed out or switched account since tracking began
+    const { latitude: lat, longitude: lng, accuracy } = pos.coords;
+    if (!(accuracy <= GEO_MAX_ACCURACY_M)) return setGeoStatus('inaccurate', accuracy);
+    const prev = liveLocation && liveLocation.userId === user.id ? liveLocation : null;
+    liveLocation = { userId: user.id, lat, lng, accuracy, at: nowIso() };
+    setGeoStatus('live', accuracy);
+    const saved = user._lastKnownLocation;
+    if (!saved || haversineDistanceKm(saved.lat, saved.lng, lat, lng) >= GEO_SAVE_MOVE_KM) {
+      updateRecord('users', user.id, { _lastKnownLocation: { lat, lng } });
+      saveState();
+    }
+    if (prev && haversineDistanceKm(prev.lat, prev.lng, lat, lng) < GEO_MIN_MOVE_KM) return;
+    proximityScanOnce();
+    ui.renderVendors();
+    ui.renderStats();
+  }
+
+  function onGeoError(err) {
+    if (err && err.code === 1) {
+      // permission denied: stop asking until the customer turns tracking on again
+      const user = trackedCustomer();
+      if (user) setLocationTrackingWanted(user.id, false);
+      geoStatus = { kind: 'denied', accuracy: null };
+      stopLocationTracking();
+      return;
+    }
+    // position unavailable or timed out: the watch keeps trying by itself
+    setGeoStatus('unavailable');
+  }
 
   function startProximityMonitor() {
-    if (proximityInterval) clearInterval(proximityInterval);
-    proximityInterval = setInterval(proximityScanOnce, 12 * 1000); // every 12 seconds
+    if (!geoVisibilityBound) {
+      document.addEventListener('visibilitychange', onGeoVisibilityChange);
+      geoVisibilityBound = true;
+    }
+    if (geofenceTimer) clearInterval(geofenceTimer);
+    geofenceTimer = setInterval(() => {
+      if (!document.hidden) proximityScanOnce();
+    }, GEOFENCE_RECHECK_MS);
+    const customer = trackedCustomer();
+    if (customer && wantsLocationTracking(customer.id)) startLocationTracking();
+    else stopLocationTracking();
     proximityScanOnce(); // run immediately
   }
 
-  async function proximityScanOnce() {
+  // Compare the customer's location with every vendor's geofence and announce crossings
+  function proximityScanOnce() {
     try {
-      if (!state.currentUserId) return;
-      const user = state.users[state.currentUserId];
-      if (!user || user.role !== 'customer') return; // only customers get vendor proximity notifications
+      const user = trackedCustomer(); // only customers get vendor proximity notifications
+      if (!user) {
+        geofence = { userId: null, inside: {} };
+        return;
+      }
+      if (geofence.userId !== user.id) geofence = { userId: user.id, inside: {} };
 
       const customerLoc = ui.getCustomerLocation();
       if (!customerLoc) return;
 
       const radius = Number(settings.proximityRadiusKm) || DEFAULT_RADIUS_KM;
+      const exitKm = geofenceExitKm(radius);
       for (const vid in state.vendors) {
         const vendor = state.vendors[vid];
-        if (!vendor.active || !vendor.location) continue;
+        const inside = geofence.inside[vid];
+        if (!vendor.active || !vendor.location) {
+          // the stall closed or stopped sharing its location; the customer didn't go anywhere
+          delete geofence.inside[vid];
+          continue;
+        }
         const d = haversineDistanceKm(customerLoc.lat, customerLoc.lng, vendor.location.lat, vendor.location.lng);
-        if (d <= radius) {
-          const lastTs = lastProxNotified[vid] || 0;
-          // only notify once every 2 minutes per vendor to avoid spam
-          if (Date.now() - lastTs > 2 * 60 * 1000) {
-            lastProxNotified[vid] = Date.now();
-            // notify user
-            const title = `${vendor.name} is nearby (${d.toFixed(2)} km)`;
-            const msg = vendor.meta || `${vendor.category || 'Vendor'} available near you`;
-            if (settings.notificationMode === 'browser') {
-              ui.browserNotify(title, msg);
-            } else {
-              ui.showToast(title + ': ' + msg, 5000);
-            }
-            addActivity(`Proximity: ${vendor.name} within ${d.toFixed(2)} km`);
-          }
+        if (!inside && d <= radius) {
+          geofence.inside[vid] = { enteredAt: nowIso(), distanceKm: d };
+          announceGeofence(user, 'enter', vendor, d);
+        } else if (inside && d > exitKm) {
+          delete geofence.inside[vid];
+          announceGeofence(user, 'exit', vendor, d);
+        } else if (inside) {
+          inside.distanceKm = d;
         }
       }
+      for (const vid in geofence.inside) if (!state.vendors[vid]) delete geofence.inside[vid];
     } catch (e) {
       console.warn('proximityScan error', e);
     }
   }
 
+  function announceGeofence(user, event, vendor, d) {
+    if (event === 'exit') {
+      const title = `You've left the area around ${vendor.name}`;
+      addNotification(user.id, { type: 'left', title, body: `Now ${d.toFixed(2)} km away`, vendorId: vendor.id });
+      ui.showToast(title, 3000);
+      addActivity(`Proximity: left ${vendor.name} (${d.toFixed(2)} km)`);
+      return;
+    }
+    const title = `${vendor.name} is nearby (${d.toFixed(2)} km)`;
+    const msg = vendor.meta || `${vendor.category || 'Vendor'} available near you`;
+    addNotification(user.id, { type: 'nearby', title, body: msg, vendorId: vendor.id });
+    if (settings.notificationMode === 'browser') {
+      ui.browserNotify(title, msg);
+    } else {
+      ui.showToast(title + ': ' + msg, 5000);
+    }
+    addActivity(`Proximity: ${vendor.name} within ${d.toFixed(2)} km`);
+  }
+
   /* -------------------------
      UI Helpers
      ------------------------- */
 
+  const TOAST_MAX_VISIBLE = 3;
+  const TOAST_MAX_QUEUED = 5;
+  const TOAST_HURRY_MS = 600; // how long the oldest toast stays once a new one is waiting
+
   const ui = {
     // quick selector
     $: (sel) => document.querySelector(sel),
     $$: (sel) => Array.from(document.querySelectorAll(sel)),
 
-    // Toast message (in-app)
-    toastTimer: null,
+    // Toasts (in-app) stack in the corner, TOAST_MAX_VISIBLE at a time; the rest wait their turn
+    // so a second message no longer wipes out the first
+    toastQueue: [],
+    toastTimers: new WeakMap(),
     showToast(message, timeout = 2500) {
-      // small in-app toast: reuse header .muted or create ephemeral element
-      const id = 'sv_toast';
-      let el = document.getElementById(id);
-      if (!el) {
-        el = document.createElement('div');
-        el.id = id;
-        el.style.position = 'fixed';
-        el.style.right = '16px';
-        el.style.bottom = '16px';
-        el.style.background = '#0d47a1';
-        el.style.color = 'white';
-        el.style.padding = '10px 14px';
-        el.style.borderRadius = '8px';
-        el.style.boxShadow = '0 3px 10px rgba(0,0,0,0.2)';
-        el.style.zIndex = 9999;
-        document.body.appendChild(el);
-      }
-      el.textContent = message;
-      el.style.opacity = '1';
-      if (ui.toastTimer) clearTimeout(ui.toastTimer);
-      ui.toastTimer = setTimeout(() => {
-        el.style.opacity = '0';
-      }, timeout);
+      const text = String(message);
+      const stack = ui.toastStack();
+      // the same message again (a double click, a repeated save) restarts its toast instead of queueing a copy
+      const shown = Array.from(stack.children).find(el => el.textContent === text);
+      if (shown) return ui.expireToast(shown, timeout);
+      if (ui.toastQueue.some(t => t.message === text)) return;
+      ui.toastQueue.push({ message: text, timeout });
+      // a burst of messages shouldn't keep the screen busy for a minute; the stalest waiting ones go
+      ui.toastQueue.splice(0, ui.toastQueue.length - TOAST_MAX_QUEUED);
+      // a full stack makes room by cutting the oldest toast short rather than holding the new one back
+      if (stack.children.length >= TOAST_MAX_VISIBLE && !stack.firstChild.classList.contains('leaving')) {
+        stack.firstChild.classList.add('leaving');
+        ui.expireToast(stack.firstChild, TOAST_HURRY_MS);
+      }
+      ui.nextToast();
+    },
+    toastStack() {
+      let stack = document.getElementById('sv_toast');
+      if (!stack) {
+        stack = document.createElement('div');
+        stack.id = 'sv_toast';
+        stack.className = 'toast-stack';
+        stack.setAttribute('aria-live', 'polite');
+        // a click dismisses a toast early and lets the next one in
+        stack.addEventListener('click', (ev) => {
+          const el = ev.target.closest('.toast');
+          if (el) ui.expireToast(el, 0);
+        });
+        document.body.appendChild(stack);
+      }
+      return stack;
+    },
+    nextToast() {
+      const stack = ui.toastStack();
+      while (stack.children.length < TOAST_MAX_VISIBLE && ui.toastQueue.length) {
+        const { message, timeout } = ui.toastQueue.shift();
+        const el = document.createElement('div');
+        el.className = 'toast';
+        el.setAttribute('role', 'status');
+        el.textContent = message;
+        stack.appendChild(el);
+        ui.expireToast(el, timeout);
+      }
+    },
+    expireToast(el, timeout) {
+      clearTimeout(ui.toastTimers.get(el));
+      ui.toastTimers.set(el, setTimeout(() => {
+        el.remove();
+        ui.nextToast();
+      }, timeout));
     },
 
     browserNotify(title, body) {
@@ -533,18 +3867,72 @@
       const user = state.users[uid];
       if (!user) return null;
       if (user._manualLocation) return user._manualLocation;
+      if (liveLocation && liveLocation.userId === uid) return liveLocation;
       if (user._lastKnownLocation) return user._lastKnownLocation;
       return null;
     },
 
+    // banner explaining what happened to saved data on load, if anything did
+    renderStorageNotice() {
+      const banner = ui.$('#storage-banner');
+      if (!banner) return;
+      banner.classList.toggle('hidden', !storageIssue);
+      if (!storageIssue) return;
+      banner.classList.toggle('warn', storageIssue.kind !== 'repaired');
+      let text = storageIssue.message;
+      if (storageIssue.kind === 'corrupt') {
+        text += storageIssue.backupKey
+          ? ' The app has started empty; the original data was kept and can be downloaded below.'
+          : ' The app has started empty.';
+      }
+      ui.$('#storage-banner-text').textContent = text;
+      ui.$('#btn-storage-download').classList.toggle('hidden', storageIssue.kind === 'repaired' ? !storageIssue.report.quarantined : false);
+      ui.$('#btn-storage-fresh').classList.toggle('hidden', storageIssue.kind !== 'newer');
+    },
+
+    renderAuthMessage(text, isError = false) {
+      const el = ui.$('#auth-message');
+      if (!el) return;
+      el.textContent = text;
+      el.classList.toggle('error', !!isError);
+    },
+
+    // One line under the sync server setting
+    renderSyncStatus() {
+      const el = ui.$('#sync-status');
+      if (!el) return;
+      const waiting = state.sync ? state.sync.outbox.length : 0;
+      const last = syncStatus.at ? ` · last synced ${new Date(syncStatus.at).toLocaleTimeString()}` : '';
+      const text = {
+        off: 'Data stays on this device. Set a sync server to share orders between phones.',
+        ok: `Synced with ${settings.apiBaseUrl}${last}`,
+        pending: `${waiting || 'Some'} change(s) waiting to sync${syncStatus.message ? ` — ${syncStatus.message}` : ''}${last}`,
+        offline: `Sync server unreachable — ${waiting} change(s) will be sent when it is back${last}`,
+        error: `Sync error: ${syncStatus.message}${last}`,
+      }[syncStatus.state];
+      el.textContent = text;
+      el.classList.toggle('warn', syncStatus.state === 'offline' || syncStatus.state === 'error');
+    },
+
     // update many UI pieces
     renderAll() {
       ui.renderAuthState();
       ui.renderActivity();
+      ui.renderNotifications();
+      ui.renderGeoStatus();
       ui.renderVendors();
       ui.renderCart();
       ui.renderOrders();
       ui.renderVendorOrders();
+      ui.renderVendorProfile();
+      ui.renderVendorHours();
+      ui.renderVendorPricing();
+      ui.renderVendorPromos();
+      ui.renderReconciliation();
+      ui.renderAnalytics();
+      ui.renderBackup();
+      ui.renderVendorProducts();
+      ui.renderStockAlerts();
       ui.renderStats();
     },
 
@@ -554,7 +3942,7 @@
       ul.innerHTML = '';
       const items = state.recentActivity || [];
       if (!items.length) {
-        ul.innerHTML = '<li class="muted">No recent activity</li>';
+        setHtml(ul, html`<li class="muted">No recent activity</li>`);
         return;
       }
       for (const s of items.slice(0, 12)) {
@@ -564,6 +3952,63 @@
       }
     },
 
+    // bell badge in the header and the inbox list in its modal, for whoever is signed in here
+    renderNotifications() {
+      const userId = state.currentUserId;
+      const unread = userId ? unreadNotificationCount(userId) : 0;
+      const badge = ui.$('#notif-count');
+      if (badge) {
+        badge.textContent = unread > 99 ? '99+' : String(unread);
+        badge.classList.toggle('hidden', !unread);
+      }
+      const bell = ui.$('#btn-notifications');
+      if (bell) {
+        bell.classList.toggle('hidden', !userId);
+        bell.title = unread ? `Notifications (${unread} unread)` : 'Notifications';
+      }
+      const list = ui.$('#notif-list');
+      if (!list) return;
+      const items = userId ? notificationsFor(userId) : [];
+      const readAll = ui.$('#btn-notif-read-all');
+      const clear = ui.$('#btn-notif-clear');
+      if (readAll) readAll.disabled = !unread;
+      if (clear) clear.disabled = !items.length;
+      if (!items.length) {
+        setHtml(list, html`<li class="muted">No notifications</li>`);
+        return;
+      }
+      setHtml(list, html`${items.map(n => html`<li class="notif-item${n.read ? '' : ' unread'}${n.orderId || n.vendorId ? ' linked' : ''}" data-nid="${n.id}">
+          <span class="notif-icon">${NOTIFICATION_ICONS[n.type] || '🔔'}</span>
+          <div>
+            <div class="notif-title">${n.title}</div>
+            ${n.body ? html`<div class="small">${n.body}</div>` : ''}
+            <div class="muted small">${new Date(n.at).toLocaleString()}</div>
+          </div>
+        </li>`)}`);
+    },
+
+    // live-location button and what the GPS is doing, for customers
+    renderGeoStatus() {
+      const btn = ui.$('#btn-get-my-loc');
+      const status = ui.$('#geo-status');
+      const customer = trackedCustomer();
+      if (btn) {
+        btn.classList.toggle('hidden', !customer);
+        btn.textContent = isTrackingLocation() ? 'Stop tracking' : '📍 Track my location';
+      }
+      if (!status) return;
+      const accuracy = geoStatus.accuracy === null ? '' : ` (±${Math.round(geoStatus.accuracy)} m)`;
+      const text = {
+        off: '',
+        waiting: 'Finding your location…',
+        live: `Live location${accuracy}`,
+        inaccurate: `Waiting for a more accurate fix${accuracy}`,
+        denied: 'Location permission denied — allow it in your browser to track',
+        unavailable: 'Location unavailable right now',
+      }[geoStatus.kind];
+      status.textContent = customer ? text : '';
+    },
+
     renderAuthState() {
       // Show/hide panels based on logged in user & role
       const authScreen = ui.$('#auth-screen');
@@ -611,6 +4056,7 @@
     },
 
     renderVendors() {
+      if (ui.vendorView === 'map') ui.renderVendorMap();
       const container = ui.$('#vendors-container');
       if (!container) return;
       container.innerHTML = '';
@@ -618,24 +4064,28 @@
       const search = (ui.$('#filter-search') && ui.$('#filter-search').value.trim().toLowerCase()) || '';
       const cat = (ui.$('#filter-category') && ui.$('#filter-category').value) || '';
       const radiusFilter = Number((ui.$('#select-radius') && ui.$('#select-radius').value) || settings.proximityRadiusKm) || settings.proximityRadiusKm;
+      const sortBy = (ui.$('#sort-by') && ui.$('#sort-by').value) || 'distance';
       const customerLoc = ui.getCustomerLocation();
 
-      const vendorEntries = Object.values(state.vendors || {}).sort((a, b) => (a.name > b.name ? 1 : -1));
-      if (!vendorEntries.length) container.innerHTML = '<div class="muted">No vendors available. Try loading demo.</div>';
+      const ratingScores = {};
+      if (sortBy === 'rating') {
+        const mean = globalRatingMean();
+        for (const v of Object.values(state.vendors || {})) ratingScores[v.id] = vendorRatingScore(v.id, mean);
+      }
+      const vendorEntries = Object.values(state.vendors || {}).sort((a, b) => {
+        if (sortBy === 'rating') {
+          const diff = ratingScores[b.id] - ratingScores[a.id];
+          if (diff) return diff;
+        } else if (sortBy === 'popular') {
+          const diff = getPopularity('vendors', b.id) - getPopularity('vendors', a.id);
+          if (diff) return diff;
+        }
+        return a.name > b.name ? 1 : -1;
+      });
+      if (!vendorEntries.length) setHtml(container, html`<div class="muted">No vendors available. Try loading demo.</div>`);
 
       for (const v of vendorEntries) {
-        // filter category
-        if (cat && v.category !== cat) continue;
-        // search
-        if (search) {
-          const matchVendor = v.name.toLowerCase().includes(search) || (v.meta && v.meta.toLowerCase().includes(search));
-          const matchProduct = (v.products || []).some(pid => {
-            const p = state.products[pid];
-            if (!p) return false;
-            return p.name.toLowerCase().includes(search) || (p.desc && p.desc.toLowerCase().includes(search));
-          });
-          if (!matchVendor && !matchProduct) continue;
-        }
+        if (!vendorMatchesFilters(v, search, cat)) continue;
 
         // distance calculation if customer location available
         let distStr = '—';
@@ -652,17 +4102,27 @@
         const root = node.querySelector('.vendor-card');
         root.dataset.vendorId = v.id;
         root.querySelector('.vendor-name').textContent = v.name;
-        root.querySelector('.vendor-meta').textContent = `${v.category || '—'} • ${distStr} ${v.active ? ' • Active' : ' • Inactive'}`;
+        if (v.photo) {
+          const avatar = root.querySelector('.vendor-avatar');
+          avatar.textContent = '';
+          const img = document.createElement('img');
+          img.src = v.photo;
+          img.alt = v.name;
+          avatar.appendChild(img);
+        }
+        const hoursLabel = hoursStatus(v);
+        root.querySelector('.vendor-meta').textContent = `${v.category || '—'} • ${distStr} ${v.active ? ' • Active' : ' • Inactive'} • ${formatRating(v.id)}${hoursLabel ? ' • ' + hoursLabel : ''}`;
 
         // product mini list
         const productsWrap = root.querySelector('.vendor-products');
+        const popularIds = topPopularProducts(v);
         (v.products || []).slice(0, 4).forEach((pid) => {
           const p = state.products[pid];
           if (!p) return;
           const pm = document.createElement('div');
-          pm.className = 'product-mini';
-          pm.innerHTML = `<div class="pm-left"><div class="pm-title">${p.name}</div><div class="muted pm-desc">${p.desc || ''}</div></div>
-                          <div class="pm-right"><div class="pm-price">₹${p.price}</div><button class="btn tiny add-to-cart" data-product-id="${p.id}">Add</button></div>`;
+          pm.className = 'product-mini' + (isOrderable(p) ? '' : ' sold-out');
+          setHtml(pm, html`<div class="pm-left"><div class="pm-title">${p.name}${popularIds.includes(p.id) ? html` <span class="badge-popular">Popular here</span>` : ''}</div><div class="muted pm-desc">${p.desc || ''}</div></div>
+                          <div class="pm-right"><div class="pm-price">₹${p.price}</div>${stockLabel(p)}<button class="btn tiny add-to-cart" data-product-id="${p.id}"${isOrderable(p) ? '' : ' disabled'}>${isOrderable(p) ? 'Add' : 'Unavailable'}</button></div>`);
           productsWrap.appendChild(pm);
         });
 
@@ -687,50 +4147,196 @@
           ui.renderFavorites();
         });
 
-        // delegate add-to-cart buttons
-        productsWrap.querySelectorAll('.add-to-cart').forEach((b) => {
-          b.addEventListener('click', (ev) => {
-            const pid = b.dataset.productId;
-            cartAdd(pid, 1);
-          });
-        });
+        // add-to-cart buttons are handled by the delegated body listener in init()
+
+        container.appendChild(node);
+      }
+    },
+
+    // 'list' or 'map' — which view of the vendors panel is showing
+    vendorView: 'list',
+
+    setVendorView(view) {
+      ui.vendorView = view === 'map' ? 'map' : 'list';
+      ui.$('#vendors-container') && ui.$('#vendors-container').classList.toggle('hidden', ui.vendorView === 'map');
+      ui.$('#vendors-pagination') && ui.$('#vendors-pagination').classList.toggle('hidden', ui.vendorView === 'map');
+      ui.$('#vendors-map') && ui.$('#vendors-map').classList.toggle('hidden', ui.vendorView !== 'map');
+      ui.$$('.view-toggle [data-view]').forEach(b => b.classList.toggle('active', b.dataset.view === ui.vendorView));
+      ui.renderVendors();
+    },
+
+    // Self-drawn SVG plane centred on the customer — no tile service, so it works on offline kiosks
+    renderVendorMap() {
+      const wrap = ui.$('#vendors-map');
+      if (!wrap) return;
+      wrap.innerHTML = '';
+      const search = (ui.$('#filter-search') && ui.$('#filter-search').value.trim().toLowerCase()) || '';
+      const cat = (ui.$('#filter-category') && ui.$('#filter-category').value) || '';
+      const radius = Number((ui.$('#select-radius') && ui.$('#select-radius').value) || settings.proximityRadiusKm) || settings.proximityRadiusKm;
+      const customerLoc = ui.getCustomerLocation();
+      const vendors = Object.values(state.vendors || {}).filter(v => v.location && vendorMatchesFilters(v, search, cat));
+
+      if (!customerLoc && !vendors.length) {
+        setHtml(wrap, html`<div class="muted">No vendor locations to show yet.</div>`);
+        return;
+      }
+
+      // without a customer position, centre on the vendors themselves
+      const origin = customerLoc || {
+        lat: vendors.reduce((acc, v) => acc + v.location.lat, 0) / vendors.length,
+        lng: vendors.reduce((acc, v) => acc + v.location.lng, 0) / vendors.length,
+      };
+      const points = vendors.map(v => ({ vendor: v, ...projectKm(origin, v.location) }));
+      let extentKm = customerLoc ? radius : 0;
+      for (const pt of points) extentKm = Math.max(extentKm, Math.abs(pt.x), Math.abs(pt.y));
+      extentKm = Math.max(extentKm * 1.15, 0.2);
+
+      const SIZE = 400;
+      const scale = (SIZE / 2 - 10) / extentKm; // px per km
+      const toPx = (pt) => ({ x: SIZE / 2 + pt.x * scale, y: SIZE / 2 - pt.y * scale });
+      const NS = 'http://www.w3.org/2000/svg';
+      const el = (tag, attrs) => {
+        const node = document.createElementNS(NS, tag);
+        for (const k in attrs) node.setAttribute(k, attrs[k]);
+        return node;
+      };
 
-        container.appendChild(node);
+      const svg = el('svg', { viewBox: `0 0 ${SIZE} ${SIZE}`, class: 'vendor-map-svg', role: 'img', 'aria-label': 'Map of nearby vendors' });
+      svg.appendChild(el('rect', { x: 0, y: 0, width: SIZE, height: SIZE, class: 'vm-bg' }));
+      svg.appendChild(el('line', { x1: SIZE / 2, y1: 0, x2: SIZE / 2, y2: SIZE, class: 'vm-axis' }));
+      svg.appendChild(el('line', { x1: 0, y1: SIZE / 2, x2: SIZE, y2: SIZE / 2, class: 'vm-axis' }));
+      const north = el('text', { x: SIZE / 2 + 4, y: 14, class: 'vm-label' });
+      north.textContent = 'N';
+      svg.appendChild(north);
+
+      if (customerLoc) {
+        svg.appendChild(el('circle', { cx: SIZE / 2, cy: SIZE / 2, r: radius * scale, class: 'vm-radius' }));
+        const rl = el('text', { x: SIZE / 2 + 4, y: SIZE / 2 - radius * scale - 4, class: 'vm-label' });
+        rl.textContent = `${radius} km`;
+        svg.appendChild(rl);
+        svg.appendChild(el('circle', { cx: SIZE / 2, cy: SIZE / 2, r: 6, class: 'vm-you' }));
+        const you = el('text', { x: SIZE / 2 + 9, y: SIZE / 2 + 4, class: 'vm-label' });
+        you.textContent = 'You';
+        svg.appendChild(you);
+      }
+
+      for (const pt of points) {
+        const v = pt.vendor;
+        const px = toPx(pt);
+        const g = el('g', { class: `vm-marker ${v.active ? 'vm-active' : 'vm-inactive'}`, tabindex: 0, role: 'button' });
+        const tip = el('title', {});
+        const dist = customerLoc ? ` • ${haversineDistanceKm(customerLoc.lat, customerLoc.lng, v.location.lat, v.location.lng).toFixed(2)} km` : '';
+        tip.textContent = `${v.name}${dist}${v.active ? '' : ' • Inactive'}`;
+        g.appendChild(tip);
+        g.appendChild(el('circle', { cx: px.x, cy: px.y, r: 8 }));
+        const label = el('text', { x: px.x + 11, y: px.y + 4, class: 'vm-label' });
+        label.textContent = v.name;
+        g.appendChild(label);
+        const open = () => openVendorModal(v.id, customerLoc);
+        g.addEventListener('click', open);
+        g.addEventListener('keydown', (ev) => {
+          if (ev.key === 'Enter' || ev.key === ' ') {
+            ev.preventDefault();
+            open();
+          }
+        });
+        svg.appendChild(g);
       }
+      wrap.appendChild(svg);
+
+      const legend = document.createElement('div');
+      legend.className = 'vm-legend muted small';
+      setHtml(legend, html`<span class="vm-key vm-active"></span> Active <span class="vm-key vm-inactive"></span> Inactive${customerLoc ? '' : ' • Set your location to see distances and the proximity radius'}`);
+      wrap.appendChild(legend);
     },
 
     renderCart() {
+      reconcileCart();
+      ui.renderCartNotices();
+      ui.updateSchedulePicker();
       const el = ui.$('#cart-items');
       if (!el) return;
-      if (!cart.items.length) {
-        el.innerHTML = '<div class="muted">Cart is empty</div>';
+      const scheduleIso = ui.getScheduleIso();
+      const summary = cartSummary(scheduleIso ? new Date(scheduleIso) : new Date());
+      const groups = summary.groups;
+      if (!groups.length) {
+        setHtml(el, html`<div class="muted">${state.currentUserId ? 'Cart is empty' : 'Log in to use your cart'}</div>`);
       } else {
         el.innerHTML = '';
-        for (const it of cart.items) {
-          const p = state.products[it.productId];
-          const vendor = state.vendors[it.vendorId];
-          const row = document.createElement('div');
-          row.className = 'cart-item';
-          row.innerHTML = `<div>${p.name} <small class="muted">by ${vendor.name}</small></div><div>₹${p.price} × ${it.qty} <button class="btn tiny remove" data-pid="${p.id}">×</button></div>`;
-          el.appendChild(row);
+        // one section per vendor, matching the separate orders placeOrder creates
+        for (const g of groups) {
+          const vendor = state.vendors[g.vendorId] || {};
+          const section = document.createElement('div');
+          section.className = 'cart-group';
+          setHtml(section, html`<div class="cart-group-head"><strong>${vendor.name || 'Vendor'}</strong><span>${g.count} item${g.count === 1 ? '' : 's'} • ₹${g.subtotal}</span></div>
+            ${g.lines.map(({ item, product }) => html`<div class="cart-item" data-pid="${product.id}">
+              <div class="cart-item-main">
+                <div>${product.name} <small class="muted">₹${product.price} each</small></div>
+                <input class="cart-note" type="text" maxlength="${TEXT_LIMITS.note}" placeholder="Note for the stall (optional)" value="${item.note || ''}" />
+              </div>
+              <div class="cart-qty">
+                <button class="btn tiny qty-dec" aria-label="One less">−</button>
+                <span class="qty">${item.qty}</span>
+                <button class="btn tiny qty-inc" aria-label="One more">+</button>
+                <span class="cart-line-total">₹${product.price * item.qty}</span>
+                <button class="btn tiny remove" aria-label="Remove">×</button>
+              </div>
+            </div>`)}
+            ${g.quote.discount ? html`<div class="cart-group-foot text-success">${g.quote.discount.label}${g.quote.discount.code ? ` (${g.quote.discount.code})` : ''}: −₹${g.quote.discount.amount}</div>` : ''}
+            ${g.quote.notes.map(n => html`<div class="cart-group-foot muted">${n}</div>`)}
+            ${cart.payment === 'upi' && !vendor.upiId ? html`<div class="cart-group-foot text-danger">This stall takes cash only</div>` : ''}
+            <div class="cart-group-foot${g.quote.problem ? ' text-danger' : ''}">${g.quote.problem || describeFulfilment(g.quote)}</div>`);
+          el.appendChild(section);
         }
-        el.querySelectorAll('.remove').forEach((b) => {
-          b.addEventListener('click', (ev) => {
-            const pid = b.dataset.pid;
-            cartRemove(pid);
-          });
-        });
+        const pidOf = (b) => b.closest('.cart-item').dataset.pid;
+        const step = (b, delta) => {
+          const line = cartLine(pidOf(b));
+          const res = line && cartSetQty(line.productId, line.qty + delta);
+          if (res && !res.ok) ui.showToast(res.msg, 2000);
+        };
+        el.querySelectorAll('.qty-dec').forEach(b => b.addEventListener('click', () => step(b, -1)));
+        el.querySelectorAll('.qty-inc').forEach(b => b.addEventListener('click', () => step(b, 1)));
+        el.querySelectorAll('.remove').forEach(b => b.addEventListener('click', () => cartRemove(pidOf(b))));
+        el.querySelectorAll('.cart-note').forEach(input => input.addEventListener('change', () => cartSetNote(pidOf(input), input.value)));
       }
       // update stat
-      const summary = cartSummary();
       const sCount = ui.$('#stat-cart-count');
       if (sCount) sCount.textContent = String(summary.count || 0);
       const summaryCount = ui.$('#summary-count');
       if (summaryCount) summaryCount.textContent = String(summary.count || 0);
-      const subtotalEl = ui.$('#summary-subtotal');
-      if (subtotalEl) subtotalEl.textContent = `₹${summary.subtotal || 0}`;
-      const totalEl = ui.$('#summary-total');
-      if (totalEl) totalEl.textContent = `₹${(summary.subtotal || 0) + 0}`; // delivery 0 for demo
+      const set = (sel, text) => ui.$(sel) && (ui.$(sel).textContent = text);
+      set('#summary-subtotal', `₹${summary.subtotal}`);
+      set('#summary-discount', `−₹${summary.discount}`);
+      const discountRow = ui.$('#summary-discount-row');
+      if (discountRow) discountRow.classList.toggle('hidden', !summary.discount);
+      set('#summary-delivery', `₹${summary.deliveryFee}`);
+      set('#summary-tax', `₹${summary.tax}`);
+      set('#summary-total', `₹${summary.total}`);
+      const taxRow = ui.$('#summary-tax-row');
+      if (taxRow) taxRow.classList.toggle('hidden', !summary.tax);
+      // each stall sets its own rate; a cart across stalls with different rates just says "Tax"
+      const taxRates = [...new Set(summary.groups.filter(g => g.quote.tax).map(g => g.quote.taxRate))];
+      set('#summary-tax-label', taxRates.length === 1 ? `Tax (${taxRates[0]}%)` : 'Tax');
+      const fulfilment = ui.$('#fulfilment-type');
+      if (fulfilment) fulfilment.value = cart.fulfilment;
+      const paymentMethod = ui.$('#payment-method');
+      if (paymentMethod) paymentMethod.value = cart.payment;
+      const codes = ui.$('#promo-codes');
+      if (codes) {
+        setHtml(codes, html`${cart.codes.map(c => html`<span class="promo-chip">${c}<button class="btn tiny ghost" data-code="${c}" aria-label="Remove ${c}">×</button></span>`)}`);
+        codes.querySelectorAll('button').forEach(b => b.addEventListener('click', () => removePromoCode(b.dataset.code)));
+      }
+    },
+
+    // Why items were removed or repriced since the customer added them; stays until dismissed
+    renderCartNotices() {
+      const box = ui.$('#cart-notice');
+      if (!box) return;
+      const saved = state.carts[state.currentUserId];
+      const notices = (saved && saved.notices) || [];
+      box.classList.toggle('hidden', !notices.length);
+      const list = box.querySelector('ul');
+      if (list) setHtml(list, html`${notices.map(n => html`<li>${n}</li>`)}`);
     },
 
     renderOrders() {
@@ -739,28 +4345,36 @@
       list.innerHTML = '';
       const u = state.users[state.currentUserId];
       if (!u) {
-        list.innerHTML = '<div class="muted">Log in to see your orders</div>';
+        setHtml(list, html`<div class="muted">Log in to see your orders</div>`);
+        ui.renderOrderStats([]);
         return;
       }
 
       if (u.role === 'customer') {
         // show customer's orders
         const orders = Object.values(state.orders).filter((o) => o.customerId === u.id).sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
+        ui.renderOrderStats(orders);
         if (!orders.length) {
-          list.innerHTML = '<div class="muted">No orders yet</div>';
+          setHtml(list, html`<div class="muted">No orders yet</div>`);
         } else {
           for (const o of orders) {
             const el = document.createElement('div');
             el.className = 'order-card';
             const vendorName = state.vendors[o.vendorId] ? state.vendors[o.vendorId].name : 'Vendor';
-            el.innerHTML = `<h4>Order ${o.id} — ${vendorName}</h4>
+            setHtml(el, html`<h4>Order ${o.id} — ${vendorName}</h4>
               <div class="muted">Placed: ${new Date(o.createdAt).toLocaleString()} • ${o.schedule ? 'Scheduled: ' + new Date(o.schedule).toLocaleString() : 'Immediate'}</div>
               <div>${o.items.map(it => {
-                const p = state.products[it.productId];
-                return `<div>${p ? p.name : 'Item'} × ${it.qty} — ₹${p ? p.price * it.qty : 0}</div>`;
-              }).join('')}</div>
-              <div style="margin-top:8px"><span class="order-status ${statusClass(o.status)}">${o.status}</span></div>
-              <div style="margin-top:8px"><button class="btn small view-order" data-oid="${o.id}">View</button></div>`;
+                const item = orderItemInfo(it);
+                return html`<div>${item.name} × ${it.qty} — ₹${item.price * it.qty}${it.note ? html` <span class="muted small">“${it.note}”</span>` : ''}</div>`;
+              })}</div>
+              <div class="small">${describeFulfilment(orderPricing(o))} • Total ₹${orderPricing(o).total} • ${describePayment(o)}</div>
+              <div style="margin-top:8px"><span class="order-status ${statusClass(o.status)}">${ORDER_STATUS_LABELS[o.status] || o.status}</span>${o.reviewId && state.reviews[o.reviewId] ? html` <span class="muted small">You rated ${state.reviews[o.reviewId].rating}★</span>` : ''}</div>
+              ${o.rejectionReason ? html`<div class="text-danger small">Rejected: ${o.rejectionReason}</div>` : ''}
+              <div style="margin-top:8px">
+                <button class="btn small view-order" data-oid="${o.id}">View</button>
+                ${o.status === 'completed' && !o.reviewId && can('order.review', o) ? html`<button class="btn small rate-order" data-oid="${o.id}">Rate</button>` : ''}
+                ${canTransition(o.status, 'cancelled') && can('order.cancel', o) ? html`<button class="btn small ghost cancel-order" data-oid="${o.id}">Cancel</button>` : ''}
+              </div>`);
             list.appendChild(el);
           }
         }
@@ -768,47 +4382,44 @@
         // show vendor's orders
         const vendor = Object.values(state.vendors).find(v => v.userId === u.id);
         if (!vendor) {
-          list.innerHTML = '<div class="muted">You are not linked to a vendor. Add vendor profile to manage orders.</div>';
+          setHtml(list, html`<div class="muted">You are not linked to a vendor. Add vendor profile to manage orders.</div>`);
+          ui.renderOrderStats([]);
           return;
         }
         const orders = (vendor.orders || []).map(id => state.orders[id]).filter(Boolean).sort((a,b)=>a.createdAt<b.createdAt?1:-1);
+        ui.renderOrderStats(orders);
         if (!orders.length) {
-          list.innerHTML = '<div class="muted">No orders for your stall yet</div>';
+          setHtml(list, html`<div class="muted">No orders for your stall yet</div>`);
         } else {
           for (const o of orders) {
             const el = document.createElement('div');
             el.className = 'order-card';
             const cust = state.users[o.customerId] || { name: 'Customer' };
-            el.innerHTML = `<h4>Order ${o.id}</h4>
+            setHtml(el, html`<h4>Order ${o.id}</h4>
               <div class="muted">From: ${cust.name} • ${o.contactPhone || ''} • ${o.schedule ? 'Scheduled: ' + new Date(o.schedule).toLocaleString() : 'Immediate'}</div>
               <div style="margin-top:8px">${o.items.map(it => {
-                const p = state.products[it.productId];
-                return `<div>${p ? p.name : 'Item'} × ${it.qty} — ₹${p ? p.price * it.qty : 0}</div>`;
-              }).join('')}</div>
-              <div style="margin-top:8px"><span class="order-status ${statusClass(o.status)}">${o.status}</span></div>
+                const item = orderItemInfo(it);
+                return html`<div>${item.name} × ${it.qty} — ₹${item.price * it.qty}${it.note ? html` <span class="muted small">“${it.note}”</span>` : ''}</div>`;
+              })}</div>
+              <div class="small">${describeFulfilment(orderPricing(o))} • Total ₹${orderPricing(o).total} • ${describePayment(o)}</div>
+              <div style="margin-top:8px"><span class="order-status ${statusClass(o.status)}">${ORDER_STATUS_LABELS[o.status] || o.status}</span></div>
               <div style="margin-top:8px">
-                ${o.status === 'pending' ? `<button class="btn small accept-order" data-oid="${o.id}">Accept</button>` : ''}
-                ${o.status === 'accepted' ? `<button class="btn small complete-order" data-oid="${o.id}">Complete</button>` : ''}
+                ${vendorOrderActions(o)}
                 <button class="btn small view-order" data-oid="${o.id}">View</button>
-              </div>`;
+              </div>`);
             list.appendChild(el);
           }
         }
       }
       // attach action handlers
-      list.querySelectorAll('.accept-order').forEach(b => {
-        b.addEventListener('click', ev => {
-          const oid = b.dataset.oid;
-          updateOrderStatus(oid, 'accepted');
-        });
-      });
-      list.querySelectorAll('.complete-order').forEach(b => {
+      ui.bindOrderActions(list);
+      list.querySelectorAll('.cancel-order').forEach(b => {
         b.addEventListener('click', ev => {
-          const oid = b.dataset.oid;
-          updateOrderStatus(oid, 'completed');
+          const res = cancelOrder(b.dataset.oid);
+          if (!res.ok) ui.showToast(res.msg, 2500);
         });
       });
-      list.querySelectorAll('.view-order').forEach(b => {
+      list.querySelectorAll('.view-order, .rate-order').forEach(b => {
         b.addEventListener('click', ev => {
           const oid = b.dataset.oid;
           openOrderModal(oid);
@@ -823,45 +4434,424 @@
       ul.innerHTML = '';
       const u = state.users[state.currentUserId];
       if (!u || u.role !== 'vendor') {
-        ul.innerHTML = '<div class="muted">Not a vendor</div>';
+        setHtml(ul, html`<div class="muted">Not a vendor</div>`);
         return;
       }
       const vendor = Object.values(state.vendors).find(v => v.userId === u.id);
       if (!vendor) {
-        ul.innerHTML = '<div class="muted">No vendor profile linked</div>';
+        setHtml(ul, html`<div class="muted">No vendor profile linked</div>`);
         return;
       }
       const orders = (vendor.orders || []).map(id => state.orders[id]).filter(Boolean).sort((a,b)=>a.createdAt<b.createdAt?1:-1);
-      if (!orders.length) ul.innerHTML = '<div class="muted">No orders yet</div>';
+      if (!orders.length) setHtml(ul, html`<div class="muted">No orders yet</div>`);
       for (const o of orders) {
         const div = document.createElement('div');
-        div.className = 'order-card';
+        div.className = 'order-card' + (arrivedOrderIds.has(o.id) ? ' just-arrived' : '');
         const cust = state.users[o.customerId] || {};
-        div.innerHTML = `<div><strong>${o.id}</strong> • ${cust.name || 'Customer'} • ${o.status}</div>
-          <div class="muted">${o.items.map(it => {
-            const p = state.products[it.productId];
-            return `${p ? p.name : 'Item'} × ${it.qty}`;
-          }).join(', ')}</div>
+        setHtml(div, html`<div><strong>${o.id}</strong> • ${cust.name || 'Customer'} • <span class="order-status ${statusClass(o.status)}">${ORDER_STATUS_LABELS[o.status] || o.status}</span></div>
+          <div class="muted">${o.items.map(it => `${orderItemInfo(it).name} × ${it.qty}${it.note ? ` (${it.note})` : ''}`).join(', ')}</div>
+          <div class="small">${describeFulfilment(orderPricing(o))} • ₹${orderPricing(o).total} • ${describePayment(o)}</div>
           <div style="margin-top:6px">
-            ${o.status === 'pending' ? `<button class="btn small accept-order" data-oid="${o.id}">Accept</button>` : ''}
-            ${o.status === 'accepted' ? `<button class="btn small complete-order" data-oid="${o.id}">Complete</button>` : ''}
-          </div>`;
+            ${vendorOrderActions(o)}
+          </div>`);
         ul.appendChild(div);
       }
-      ul.querySelectorAll('.accept-order').forEach(b => {
-        b.addEventListener('click', e => updateOrderStatus(b.dataset.oid, 'accepted'));
+      ui.bindOrderActions(ul);
+    },
+
+    // the time picked under "later", or null for an order now
+    getScheduleIso() {
+      const later = ui.$('#schedule-type') && ui.$('#schedule-type').value === 'later';
+      const timeEl = ui.$('#schedule-time');
+      return later && timeEl && timeEl.value ? new Date(timeEl.value).toISOString() : null;
+    },
+
+    // #schedule-time lists only the times every vendor in the cart is open, grouped by day
+    updateSchedulePicker() {
+      const select = ui.$('#schedule-time');
+      const hint = ui.$('#schedule-hint');
+      if (!select) return;
+      const later = ui.$('#schedule-type') && ui.$('#schedule-type').value === 'later';
+      const vendorIds = Array.from(new Set(cart.items.map(it => it.vendorId)));
+      const times = scheduleSlotTimes(vendorIds);
+      if (select !== document.activeElement) fillScheduleSelect(select, times, select.value);
+      if (!hint) return;
+      const withHours = vendorIds.map(id => state.vendors[id]).filter(v => v && v.hours);
+      const problem = times.length ? '' : `No time in the next ${SCHEDULE_DAYS_AHEAD} days when every stall in your cart is open`;
+      hint.classList.toggle('hidden', !later || (!withHours.length && !problem));
+      hint.classList.toggle('text-danger', !!problem);
+      const day = select.value ? new Date(select.value) : new Date();
+      hint.textContent = problem || withHours.map(v => `${v.name}: ${formatSlots(slotsOn(v, day)) || 'closed'} on ${WEEKDAYS[day.getDay()]}`).join(' • ');
+    },
+
+    // delivery / minimum order settings on the vendor dashboard
+    renderVendorPricing() {
+      const bands = ui.$('#vpr-bands');
+      if (bands) bands.textContent = `(${DELIVERY_BANDS.map(b => `up to ${b.upToKm} km ₹${b.fee}`).join(', ')})`;
+      const form = ui.$('#form-vendor-pricing');
+      if (!form || form.contains(document.activeElement)) return;
+      const u = state.users[state.currentUserId];
+      const vendor = u && u.role === 'vendor' ? vendorForUser(u.id) : null;
+      const rules = vendorPricing(vendor);
+      if (ui.$('#vpr-delivery')) ui.$('#vpr-delivery').checked = rules.delivery;
+      if (ui.$('#vpr-min-order')) ui.$('#vpr-min-order').value = rules.minOrder || '';
+      if (ui.$('#vpr-free-over')) ui.$('#vpr-free-over').value = rules.freeDeliveryOver || '';
+      if (ui.$('#vpr-tax')) ui.$('#vpr-tax').value = rules.taxRatePercent || '';
+    },
+
+    // Settings: the automatic backup note, and what a chosen backup file would change
+    renderBackup() {
+      const auto = ui.$('#auto-backup');
+      if (auto) {
+        const text = autoBackupText();
+        let when = null;
+        try {
+          when = text && JSON.parse(text).createdAt;
+        } catch (e) {}
+        auto.classList.toggle('hidden', !text);
+        const note = auto.querySelector('.auto-backup-note');
+        if (note) note.textContent = `Your data was backed up before the demo replaced it${when ? ` (${new Date(when).toLocaleString()})` : ''}.`;
+      }
+      const box = ui.$('#backup-preview');
+      if (!box) return;
+      box.classList.toggle('hidden', !pendingRestore);
+      if (!pendingRestore) return;
+      const diff = diffBackup(pendingRestore.data);
+      const { report, createdAt } = pendingRestore;
+      setHtml(box, html`<div>Backup${createdAt ? ` from ${new Date(createdAt).toLocaleString()}` : ''}: ${describeRecordCounts(pendingRestore.data) || 'no records'}</div>
+        <table class="recon-table backup-table">
+          <thead><tr><th></th><th>New</th><th>Different</th><th>Only here</th></tr></thead>
+          <tbody>${BACKUP_SUMMARY_COLLECTIONS.map(c => html`<tr><td>${c}</td><td>${diff[c].added}</td><td>${diff[c].changed}</td><td>${diff[c].onlyHere}</td></tr>`)}</tbody>
+        </table>
+        ${report.repaired || report.quarantined ? html`<div class="small text-danger">The file needed fixing: ${report.repaired} record(s) repaired, ${report.quarantined} set aside.</div>` : ''}
+        <div class="small muted">Merge adds what's new and keeps this device's copy of the rest. Replace makes this device match the backup and deletes what's only here.</div>
+        <div class="form-row">
+          <button class="btn restore-merge">Merge</button>
+          <button class="btn danger restore-replace">Replace</button>
+          <button class="btn ghost restore-cancel">Cancel</button>
+        </div>`);
+      const finish = (mode) => {
+        if (mode === 'replace' && !confirm('Replace everything on this device with the backup? Anything not in it will be deleted.')) return;
+        const res = restoreBackup(pendingRestore, mode);
+        if (!res.ok) return ui.showToast(res.msg, 3000);
+        pendingRestore = null;
+        if (ui.$('#backup-file')) ui.$('#backup-file').value = '';
+        const { added, replaced, removed } = res.counts;
+        ui.showToast(`Backup restored: ${added} added, ${replaced} updated, ${removed} removed`, 3000);
+        ui.renderAll();
+      };
+      box.querySelector('.restore-merge').addEventListener('click', () => finish('merge'));
+      box.querySelector('.restore-replace').addEventListener('click', () => finish('replace'));
+      box.querySelector('.restore-cancel').addEventListener('click', () => {
+        pendingRestore = null;
+        if (ui.$('#backup-file')) ui.$('#backup-file').value = '';
+        ui.renderBackup();
       });
-      ul.querySelectorAll('.complete-order').forEach(b => {
-        b.addEventListener('click', e => updateOrderStatus(b.dataset.oid, 'completed'));
+    },
+
+    // end-of-day takings on the vendor dashboard, for the day picked (today by default)
+    renderReconciliation() {
+      const el = ui.$('#vendor-reconciliation');
+      if (!el) return;
+      const u = state.users[state.currentUserId];
+      const vendor = u && u.role === 'vendor' ? vendorForUser(u.id) : null;
+      if (!vendor) {
+        setHtml(el, html`<div class="muted">Not a vendor</div>`);
+        return;
+      }
+      const picker = ui.$('#recon-date');
+      const day = fromDateKey(picker && picker.value) || new Date();
+      const { methods, unpaid, unpaidTotal } = dailyReconciliation(vendor.id, day);
+      const total = (key) => roundMoney(Object.values(methods).reduce((sum, r) => sum + r[key], 0));
+      setHtml(el, html`<table class="recon-table">
+          <thead><tr><th></th><th>Collected</th><th>Refunded</th><th>Net</th></tr></thead>
+          <tbody>${Object.keys(PAYMENT_METHODS).map(method => html`<tr>
+            <td>${PAYMENT_METHODS[method]} <span class="muted small">(${methods[method].orders})</span></td>
+            <td>₹${methods[method].collected}</td><td>₹${methods[method].refunded}</td><td>₹${methods[method].net}</td>
+          </tr>`)}</tbody>
+          <tfoot><tr><th>Total</th><th>₹${total('collected')}</th><th>₹${total('refunded')}</th><th>₹${total('net')}</th></tr></tfoot>
+        </table>
+        <div class="small">Cash in hand should be <strong>₹${methods.cash.net}</strong>; check UPI against ₹${methods.upi.net} in your UPI app.</div>
+        ${unpaid.length ? html`<div class="text-danger small">${unpaid.length} completed order${unpaid.length === 1 ? '' : 's'} not marked paid (₹${unpaidTotal}): ${unpaid.map(o => o.id).join(', ')}</div>` : ''}`);
+    },
+
+    // sales card on the vendor dashboard; charts are inline SVG built from the orders on this device
+    renderAnalytics() {
+      const el = ui.$('#vendor-analytics');
+      if (!el) return;
+      const u = state.users[state.currentUserId];
+      const vendor = u && u.role === 'vendor' ? vendorForUser(u.id) : null;
+      if (!vendor) {
+        setHtml(el, html`<div class="muted">Not a vendor</div>`);
+        return;
+      }
+      const picker = ui.$('#analytics-range');
+      const stats = vendorAnalytics(vendor.id, picker && picker.value);
+      const weekly = stats.range.unit === 'week';
+      const dayLabel = (d) => d.toLocaleDateString(undefined, { day: 'numeric', month: 'short' });
+      const salesBars = stats.buckets.map(b => ({
+        label: weekly ? dayLabel(b.start) : String(b.start.getDate()),
+        value: b.sales,
+        title: `${weekly ? `Week of ${dayLabel(b.start)}` : b.start.toLocaleDateString(undefined, { weekday: 'short', day: 'numeric', month: 'short' })}: ₹${b.sales} from ${b.orders} order${b.orders === 1 ? '' : 's'}`,
+      }));
+      const hourBars = stats.hours.map((n, h) => ({ label: String(h), value: n, title: `${h}:00–${h + 1}:00: ${n} order${n === 1 ? '' : 's'}` }));
+      const topQty = stats.topProducts.length ? stats.topProducts[0].qty : 0;
+      setHtml(el, html`<div class="analytics-kpis">
+          <div><strong>₹${stats.totalSales}</strong><span class="small muted">Sales</span></div>
+          <div><strong>₹${stats.averageOrderValue}</strong><span class="small muted">Avg order (${stats.completedOrders})</span></div>
+          <div><strong>${formatRate(stats.repeatRate)}</strong><span class="small muted">Repeat customers (${stats.repeatCustomers}/${stats.customers})</span></div>
+          <div><strong>${formatRate(stats.cancellationRate)}</strong><span class="small muted">Cancelled ${stats.cancelled} • Rejected ${stats.rejected}</span></div>
+        </div>
+        <h5>Sales per ${weekly ? 'week' : 'day'} (₹)</h5>
+        ${barChartSvg(salesBars, { label: `Sales per ${stats.range.unit}`, labelEvery: weekly ? 2 : 1 })}
+        <h5>Busiest hours</h5>
+        ${stats.placedOrders ? barChartSvg(hourBars, { label: 'Orders by hour of day', labelEvery: 3 }) : html`<div class="muted small">No orders placed in this period</div>`}
+        <h5>Best sellers</h5>
+        ${stats.topProducts.length ? html`<table class="analytics-top">
+            <tbody>${stats.topProducts.map(p => html`<tr>
+              <td>${p.name}</td>
+              <td><meter min="0" max="${topQty}" value="${p.qty}"></meter></td>
+              <td>${p.qty} sold</td><td>₹${p.sales}</td>
+            </tr>`)}</tbody>
+          </table>` : html`<div class="muted small">No completed orders in this period</div>`}`);
+    },
+
+    // discount rules on the vendor dashboard: product pickers for buy-X-get-Y, then the list
+    renderVendorPromos() {
+      const list = ui.$('#vendor-promos-list');
+      if (!list) return;
+      const u = state.users[state.currentUserId];
+      const vendor = u && u.role === 'vendor' ? vendorForUser(u.id) : null;
+      const products = vendor ? Object.values(state.products).filter(p => p.vendorId === vendor.id) : [];
+      for (const sel of ['#vpd-buy-product', '#vpd-get-product']) {
+        const select = ui.$(sel);
+        if (!select || select === document.activeElement) continue;
+        const current = select.value;
+        setHtml(select, html`${products.map(p => html`<option value="${p.id}">${p.name}</option>`)}`);
+        if (products.some(p => p.id === current)) select.value = current;
+      }
+      const promos = vendor ? Object.values(state.promos).filter(d => d.vendorId === vendor.id) : [];
+      promos.sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
+      if (!promos.length) {
+        setHtml(list, html`<li class="muted">No discounts yet</li>`);
+        return;
+      }
+      setHtml(list, html`${promos.map(d => html`<li data-id="${d.id}" class="${d.active ? '' : 'inactive'}">
+        <div><strong>${d.label}</strong>${d.code ? html` <code>${d.code}</code>` : ''}<div class="muted">${describePromo(d)}</div></div>
+        <div class="vendor-product-actions">
+          <button class="btn tiny toggle-promo" ${can('promo.edit', d) ? '' : 'hidden'}>${d.active ? 'Pause' : 'Resume'}</button>
+          <button class="btn tiny ghost delete-promo" ${can('promo.edit', d) ? '' : 'hidden'}>Delete</button>
+        </div>
+      </li>`)}`);
+      const idOf = (b) => b.closest('li').dataset.id;
+      const report = (res) => {
+        if (res && !res.ok) return ui.showToast(res.msg, 2000);
+        ui.renderVendorPromos();
+        ui.renderCart();
+      };
+      list.querySelectorAll('.toggle-promo').forEach(b => b.addEventListener('click', () => {
+        const promo = state.promos[idOf(b)];
+        report(promo && setPromoActive(promo.id, !promo.active));
+      }));
+      list.querySelectorAll('.delete-promo').forEach(b => b.addEventListener('click', () => report(deletePromo(idOf(b)))));
+    },
+
+    // opening-hours editor on the vendor dashboard
+    renderVendorHours() {
+      const form = ui.$('#form-vendor-hours');
+      if (!form || form.contains(document.activeElement)) return;
+      const u = state.users[state.currentUserId];
+      const vendor = u && u.role === 'vendor' ? vendorForUser(u.id) : null;
+      const hours = vendor && vendor.hours;
+      const enabled = ui.$('#vh-enabled');
+      if (enabled) enabled.checked = !!hours;
+      const rows = ui.$('#vh-days');
+      if (rows) {
+        rows.innerHTML = '';
+        WEEKDAYS.forEach((d, i) => {
+          const row = document.createElement('label');
+          row.className = 'form-row hours-row';
+          setHtml(row, html`<span>${d}</span><input class="vh-day" data-day="${i}" type="text" placeholder="closed, or e.g. 07:00-10:00, 17:00-22:00" />`);
+          row.querySelector('input').value = hours ? formatSlots(hours.weekly[i]) : '';
+          row.querySelector('input').disabled = !hours;
+          rows.appendChild(row);
+        });
+      }
+      const closures = ui.$('#vh-closures');
+      if (closures) {
+        closures.value = hours ? (hours.closures || []).join(', ') : '';
+        closures.disabled = !hours;
+      }
+    },
+
+    // stall profile form + active toggle on the vendor dashboard
+    renderVendorProfile() {
+      const form = ui.$('#form-vendor-profile');
+      const toggle = ui.$('#vendor-active-toggle');
+      const u = state.users[state.currentUserId];
+      const vendor = u && u.role === 'vendor' ? vendorForUser(u.id) : null;
+      if (toggle) toggle.checked = !!(vendor && vendor.active);
+      const since = ui.$('#vendor-duty-since');
+      if (since) {
+        const last = vendor && lastDutyChange(vendor);
+        since.textContent = last ? `${last.active ? 'On' : 'Off'} duty since ${new Date(last.at).toLocaleString()}` : '';
+      }
+      if (!form) return;
+      // don't clobber what the vendor is typing when something else triggers a re-render
+      if (form.contains(document.activeElement)) return;
+      const set = (sel, val) => ui.$(sel) && (ui.$(sel).value = val || '');
+      set('#vp-name', vendor ? vendor.name : (u && u.name));
+      set('#vp-category', vendor ? vendor.category : (u && u.category));
+      set('#vp-meta', vendor && vendor.meta);
+      set('#vp-phone', vendor ? vendor.contactPhone : (u && u.phone));
+      set('#vp-upi', vendor && vendor.upiId);
+      set('#vp-photo-url', vendor && vendor.photo && !vendor.photo.startsWith('data:') ? vendor.photo : '');
+      const preview = ui.$('#vp-photo-preview');
+      if (preview) {
+        preview.classList.toggle('hidden', !(vendor && vendor.photo));
+        if (vendor && vendor.photo) preview.src = vendor.photo;
+      }
+    },
+
+    // product being edited inline in the vendor catalog, if any
+    editingProductId: null,
+
+    renderVendorProducts() {
+      const el = ui.$('#vendor-products-list');
+      if (!el) return;
+      el.innerHTML = '';
+      const u = state.users[state.currentUserId];
+      const vendor = u && u.role === 'vendor' && Object.values(state.vendors).find(v => v.userId === u.id);
+      const products = vendor ? (vendor.products || []).map(pid => state.products[pid]).filter(Boolean) : [];
+      if (!products.length) {
+        setHtml(el, html`<div class="muted">No products yet. Add your first item.</div>`);
+        return;
+      }
+      for (const p of products) {
+        const card = document.createElement('div');
+        card.className = 'card vendor-product' + (isProductUnavailable(p) ? ' sold-out' : '');
+        card.dataset.pid = p.id;
+        if (ui.editingProductId === p.id) {
+          setHtml(card, html`<div class="form-row"><input class="edit-name" maxlength="${TEXT_LIMITS.name}" placeholder="Name" /></div>
+            <div class="form-row"><input class="edit-price" type="number" min="0" step="0.5" placeholder="Price" /></div>
+            <div class="form-row"><input class="edit-desc" maxlength="${TEXT_LIMITS.desc}" placeholder="Short description" /></div>
+            <div class="form-row"><input class="edit-img" placeholder="Image URL (optional)" /></div>
+            <div class="form-row"><input class="edit-stock" type="number" min="0" step="1" placeholder="Stock (blank = unlimited)" /></div>
+            <button class="btn small save-product">Save</button>
+            <button class="btn small ghost cancel-edit">Cancel</button>`);
+          card.querySelector('.edit-name').value = p.name;
+          card.querySelector('.edit-price').value = p.price;
+          card.querySelector('.edit-desc').value = p.desc || '';
+          card.querySelector('.edit-img').value = p.img || '';
+          card.querySelector('.edit-stock').value = isStockTracked(p) ? p.stock : '';
+        } else {
+          setHtml(card, html`<div class="flex-between"><strong>${p.name}</strong><span class="price">₹${p.price}</span></div>
+            <div class="muted small">${p.desc || ''}</div>
+            <div class="small">${isStockTracked(p) ? `Stock: ${p.stock}` : 'Stock: unlimited'}</div>${stockLabel(p)}
+            <div class="vendor-product-actions">
+              <button class="btn small edit-product">Edit</button>
+              <button class="btn small ghost toggle-available">${isProductUnavailable(p) ? 'Mark available' : 'Unavailable today'}</button>
+              <button class="btn small ghost delete-product">Delete</button>
+            </div>`);
+        }
+        el.appendChild(card);
+      }
+      const pidOf = (b) => b.closest('.vendor-product').dataset.pid;
+      el.querySelectorAll('.edit-product').forEach(b => b.addEventListener('click', () => {
+        ui.editingProductId = pidOf(b);
+        ui.renderVendorProducts();
+      }));
+      el.querySelectorAll('.cancel-edit').forEach(b => b.addEventListener('click', () => {
+        ui.editingProductId = null;
+        ui.renderVendorProducts();
+      }));
+      el.querySelectorAll('.save-product').forEach(b => b.addEventListener('click', () => {
+        const card = b.closest('.vendor-product');
+        const res = updateProduct(card.dataset.pid, {
+          name: card.querySelector('.edit-name').value,
+          price: card.querySelector('.edit-price').value,
+          desc: card.querySelector('.edit-desc').value,
+          img: card.querySelector('.edit-img').value,
+          stock: card.querySelector('.edit-stock').value,
+        });
+        if (!res.ok) return ui.showToast(res.msg, 2000);
+        ui.editingProductId = null;
+        ui.showToast('Product updated', 1200);
+        ui.renderAll();
+      }));
+      el.querySelectorAll('.toggle-available').forEach(b => b.addEventListener('click', () => {
+        const pid = pidOf(b);
+        setProductUnavailableToday(pid, !isProductUnavailable(state.products[pid]));
+        ui.renderAll();
+      }));
+      el.querySelectorAll('.delete-product').forEach(b => b.addEventListener('click', () => {
+        const p = state.products[pidOf(b)];
+        if (!p || !window.confirm(`Delete ${p.name}? Existing orders keep their copy of it.`)) return;
+        deleteProduct(p.id);
+        ui.showToast('Product deleted', 1200);
+        ui.renderAll();
+      }));
+    },
+
+    // low-stock / sold-out warnings on the vendor dashboard, with a quick restock field
+    renderStockAlerts() {
+      const el = ui.$('#vendor-stock-alerts');
+      if (!el) return;
+      el.innerHTML = '';
+      const u = state.users[state.currentUserId];
+      const vendor = u && u.role === 'vendor' && Object.values(state.vendors).find(v => v.userId === u.id);
+      const flagged = vendor ? (vendor.products || []).map(pid => state.products[pid]).filter(p => p && (isSoldOut(p) || isLowStock(p))) : [];
+      el.classList.toggle('hidden', !flagged.length);
+      if (!flagged.length) return;
+      setHtml(el, html`<strong>Stock running low</strong>`);
+      for (const p of flagged) {
+        const row = document.createElement('div');
+        row.className = 'stock-alert-row';
+        setHtml(row, html`<span>${p.name} — ${isSoldOut(p) ? 'sold out' : `${p.stock} left`}</span>
+          <span><input class="restock-qty" type="number" min="0" step="1" placeholder="New stock" /> <button class="btn tiny restock" data-pid="${p.id}">Set</button></span>`);
+        el.appendChild(row);
+      }
+      el.querySelectorAll('.restock').forEach(b => b.addEventListener('click', () => {
+        const input = b.parentElement.querySelector('.restock-qty');
+        if (input.value === '') return ui.showToast('Enter a stock quantity (blank keeps it unchanged)', 2000);
+        setProductStock(b.dataset.pid, input.value);
+        ui.renderAll();
+      }));
+    },
+
+    // wire the lifecycle buttons produced by vendorOrderActions()
+    bindOrderActions(root) {
+      root.querySelectorAll('[data-next-status]').forEach(b => {
+        b.addEventListener('click', e => {
+          const next = b.dataset.nextStatus;
+          // rejection needs a reason, which is collected in the order modal
+          if (next === 'rejected') {
+            openOrderModal(b.dataset.oid);
+            const ord = state.orders[b.dataset.oid];
+            if (ord) renderRejectForm(ord, ui.$('#modal-order-content'));
+            return;
+          }
+          updateOrderStatus(b.dataset.oid, next);
+        });
       });
     },
 
+    renderOrderStats(orders) {
+      const counts = orderStatusCounts(orders);
+      const set = (sel, n) => ui.$(sel) && (ui.$(sel).textContent = String(n));
+      set('#orders-pending', counts.pending);
+      set('#orders-accepted', counts.accepted);
+      set('#orders-ready', counts.ready);
+      set('#orders-completed', counts.completed);
+      set('#orders-closed', counts.cancelled + counts.rejected);
+    },
+
     renderFavorites() {
       const el = ui.$('#favorites-list');
       if (!el) return;
       const favs = state.favorites[state.currentUserId] || [];
       if (!favs || !favs.length) {
-        el.innerHTML = '<div class="muted">No favorites yet</div>';
+        setHtml(el, html`<div class="muted">No favorites yet</div>`);
         return;
       }
       el.innerHTML = '';
@@ -870,8 +4860,8 @@
         if (!v) continue;
         const div = document.createElement('div');
         div.className = 'card';
-        div.innerHTML = `<div><strong>${v.name}</strong> <div class="muted">${v.category}</div></div>
-          <div style="margin-top:6px"><button class="btn small view-products" data-vid="${v.id}">View</button> <button class="btn small outline unfav" data-vid="${v.id}">Remove</button></div>`;
+        setHtml(div, html`<div><strong>${v.name}</strong> <div class="muted">${v.category}</div></div>
+          <div style="margin-top:6px"><button class="btn small view-products" data-vid="${v.id}">View</button> <button class="btn small outline unfav" data-vid="${v.id}">Remove</button></div>`);
         el.appendChild(div);
       }
       el.querySelectorAll('.view-products').forEach(b => b.addEventListener('click', e => openVendorModal(b.dataset.vid)));
@@ -886,6 +4876,8 @@
     renderStats() {
       const sV = ui.$('#stat-vendors');
       if (sV) sV.textContent = String(Object.values(state.vendors || {}).filter(v => v.active).length);
+      const sSched = ui.$('#stat-scheduled');
+      if (sSched) sSched.textContent = String(Object.values(state.orders || {}).filter(o => o.customerId === state.currentUserId && o.schedule && o.status === 'pending').length);
       const sFav = ui.$('#stat-fav');
       if (sFav) sFav.textContent = String((state.favorites[state.currentUserId] || []).length || 0);
 
@@ -921,23 +4913,65 @@
       ui.$('#modal-vendor-name').textContent = v.name;
       ui.$('#modal-vendor-category').textContent = `Category: ${v.category || '—'}`;
       ui.$('#modal-vendor-distance').textContent = customerLoc && v.location ? `Distance: ${haversineDistanceKm(customerLoc.lat, customerLoc.lng, v.location.lat, v.location.lng).toFixed(2)} km` : 'Distance: —';
+      ui.$('#modal-vendor-rating') && (ui.$('#modal-vendor-rating').textContent = formatRating(v.id));
+      ui.$('#modal-vendor-meta') && (ui.$('#modal-vendor-meta').textContent = v.meta || '');
+      ui.$('#modal-vendor-contact') && (ui.$('#modal-vendor-contact').textContent = v.contactPhone ? `Contact: ${v.contactPhone}` : '');
+      const hoursEl = ui.$('#modal-vendor-hours');
+      if (hoursEl) {
+        hoursEl.textContent = v.hours
+          ? `${hoursStatus(v)} • ${WEEKDAYS.map((d, i) => `${d} ${formatSlots(v.hours.weekly[i]) || 'closed'}`).join(' · ')}`
+          : '';
+      }
+      const photo = ui.$('#modal-vendor-photo');
+      if (photo) {
+        photo.classList.toggle('hidden', !v.photo);
+        if (v.photo) photo.src = v.photo;
+        photo.alt = v.name;
+      }
+      ui.renderVendorReviews(v);
       const wrap = ui.$('#modal-vendor-products');
       wrap.innerHTML = '';
       (v.products || []).forEach(pid => {
         const p = state.products[pid];
         const card = document.createElement('div');
-        card.className = 'product-card';
-        card.innerHTML = `<div class="info"><h4>${p.name}</h4><p>${p.desc || ''}</p><div class="price">₹${p.price}</div><div style="margin-top:8px"><button class="btn add" data-pid="${p.id}">Add to cart</button></div></div>`;
+        card.className = 'product-card' + (isOrderable(p) ? '' : ' sold-out');
+        setHtml(card, html`<div class="info"><h4>${p.name}</h4><p>${p.desc || ''}</p><div class="price">₹${p.price}</div>${stockLabel(p)}<div style="margin-top:8px"><button class="btn add" data-pid="${p.id}"${isOrderable(p) ? '' : ' disabled'}>${isOrderable(p) ? 'Add to cart' : 'Unavailable'}</button></div></div>`);
         wrap.appendChild(card);
       });
       // attach add handlers
       wrap.querySelectorAll('.add').forEach(b => b.addEventListener('click', e => {
-        cartAdd(b.dataset.pid, 1);
-        ui.closeModal('modal-product');
+        if (cartAdd(b.dataset.pid, 1)) ui.closeModal('modal-product');
       }));
       ui.openModal('modal-product');
     },
 
+    // latest reviews shown under the vendor info in the product modal
+    renderVendorReviews(vendor) {
+      const wrap = ui.$('#modal-vendor-reviews');
+      if (!wrap) return;
+      wrap.innerHTML = '';
+      const reviews = (vendor.reviews || []).map(id => state.reviews[id]).filter(Boolean).sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
+      if (!reviews.length) {
+        setHtml(wrap, html`<div class="muted small">No reviews yet</div>`);
+        return;
+      }
+      for (const r of reviews.slice(0, 5)) {
+        const cust = state.users[r.customerId] || {};
+        const div = document.createElement('div');
+        div.className = 'review-item';
+        const head = document.createElement('div');
+        head.className = 'review-head';
+        head.textContent = `${'★'.repeat(r.rating)}${'☆'.repeat(5 - r.rating)} • ${cust.name || 'Customer'} • ${new Date(r.createdAt).toLocaleDateString()}`;
+        div.appendChild(head);
+        if (r.text) {
+          const p = document.createElement('p');
+          p.textContent = r.text;
+          div.appendChild(p);
+        }
+        wrap.appendChild(div);
+      }
+    },
+
     // open vendor modal wrapper
     openVendorModal(vendorId, customerLoc) {
       ui.renderVendorModal(vendorId, customerLoc);
@@ -956,16 +4990,61 @@
      Small wrappers for missing functions used in UI
      ------------------------- */
 
+  // "Only 2 left" / "Sold out" / "Unavailable today" tag for product cards; empty otherwise
+  function stockLabel(p) {
+    if (isProductUnavailable(p)) return html`<div class="stock-tag sold">Unavailable today</div>`;
+    if (isSoldOut(p)) return html`<div class="stock-tag sold">Sold out</div>`;
+    if (isLowStock(p)) return html`<div class="stock-tag low">Only ${p.stock} left</div>`;
+    return '';
+  }
+
+  // Vendor-side lifecycle buttons for an order card
+  function vendorOrderActions(o) {
+    const buttons = {
+      accepted: 'Accept',
+      ready: 'Mark ready',
+      completed: 'Complete',
+      rejected: 'Reject',
+    };
+    return Object.keys(buttons)
+      .filter(next => canTransition(o.status, next) && can(ORDER_STATUS_ACTIONS[next], o))
+      .map(next => html`<button class="btn small ${next === 'rejected' ? 'ghost ' : ''}order-action" data-oid="${o.id}" data-next-status="${next}">${buttons[next]}</button> `);
+  }
+
+  // Shared category/search filter for the vendor list and map
+  function vendorMatchesFilters(v, search, cat) {
+    if (cat && v.category !== cat) return false;
+    if (!search) return true;
+    const matchVendor = v.name.toLowerCase().includes(search) || (v.meta && v.meta.toLowerCase().includes(search));
+    const matchProduct = (v.products || []).some(pid => {
+      const p = state.products[pid];
+      if (!p) return false;
+      return p.name.toLowerCase().includes(search) || (p.desc && p.desc.toLowerCase().includes(search));
+    });
+    return matchVendor || matchProduct;
+  }
+
+  // Flat-earth offset in km from origin — accurate enough at neighbourhood scale
+  function projectKm(origin, loc) {
+    const kmPerDegLat = 110.574;
+    const kmPerDegLng = 111.32 * Math.cos((origin.lat * Math.PI) / 180);
+    return { x: (loc.lng - origin.lng) * kmPerDegLng, y: (loc.lat - origin.lat) * kmPerDegLat };
+  }
+
   function statusClass(status) {
     switch (status) {
       case 'pending':
         return 'status-pending';
       case 'accepted':
         return 'status-accepted';
+      case 'ready':
+        return 'status-ready';
       case 'completed':
         return 'status-completed';
       case 'cancelled':
         return 'status-cancelled';
+      case 'rejected':
+        return 'status-rejected';
       default:
         return '';
     }
@@ -991,64 +5070,593 @@
       arr.push(vendorId);
       addActivity(`Saved favorite: ${state.vendors[vendorId].name}`);
     }
-    saveState();
+    saveState();
+  }
+
+  function removeFavorite(vendorId) {
+    const uid = state.currentUserId;
+    if (!uid) return;
+    state.favorites[uid] = state.favorites[uid] || [];
+    const arr = state.favorites[uid];
+    const idx = arr.indexOf(vendorId);
+    if (idx >= 0) arr.splice(idx, 1);
+    saveState();
+  }
+
+  /* -------------------------
+     Ratings & Reviews
+     ------------------------- */
+
+  const REVIEW_MAX_LENGTH = 280;
+  // Weight of the marketplace-wide mean in the ranking score: a vendor needs
+  // roughly this many reviews before their own average dominates.
+  const RATING_PRIOR_WEIGHT = 5;
+
+  function getVendorRating(vendorId) {
+    const vendor = state.vendors[vendorId];
+    let sum = 0,
+      count = 0;
+    for (const rid of (vendor && vendor.reviews) || []) {
+      const r = state.reviews[rid];
+      if (!r) continue;
+      sum += r.rating;
+      count++;
+    }
+    return { average: count ? sum / count : 0, count };
+  }
+
+  // Bayesian (confidence-weighted) average used for the "Rating" sort, so a single
+  // 5-star review doesn't outrank a vendor with fifty 4.8-star reviews. globalMean comes from
+  // globalRatingMean(), worked out once per sort rather than once per vendor.
+  function globalRatingMean() {
+    const all = Object.values(state.reviews || {});
+    return all.length ? all.reduce((acc, r) => acc + r.rating, 0) / all.length : 3;
+  }
+
+  function vendorRatingScore(vendorId, globalMean) {
+    const { average, count } = getVendorRating(vendorId);
+    return (RATING_PRIOR_WEIGHT * globalMean + average * count) / (RATING_PRIOR_WEIGHT + count);
+  }
+
+  function formatRating(vendorId) {
+    const { average, count } = getVendorRating(vendorId);
+    if (!count) return 'No ratings yet';
+    return `★ ${average.toFixed(1)} (${count} review${count === 1 ? '' : 's'})`;
+  }
+
+  // One review per completed order, left by the customer who placed it
+  function submitReview(orderId, rating, text = '') {
+    const ord = state.orders[orderId];
+    if (!ord) return { ok: false, msg: 'Order not found' };
+    if (!can('order.review', ord)) return { ok: false, msg: 'Only the customer who placed this order can review it' };
+    if (ord.status !== 'completed') return { ok: false, msg: 'You can review an order once it is completed' };
+    if (ord.reviewId && state.reviews[ord.reviewId]) return { ok: false, msg: 'This order has already been reviewed' };
+    const stars = Number(rating);
+    if (!Number.isInteger(stars) || stars < 1 || stars > 5) return { ok: false, msg: 'Rating must be between 1 and 5 stars' };
+    const vendor = state.vendors[ord.vendorId];
+    if (!vendor) return { ok: false, msg: 'Vendor no longer exists' };
+
+    const reviewId = uid('r_');
+    putRecord('reviews', {
+      id: reviewId,
+      orderId,
+      vendorId: vendor.id,
+      customerId: ord.customerId,
+      rating: stars,
+      text: String(text || '').trim().slice(0, REVIEW_MAX_LENGTH),
+      createdAt: nowIso(),
+    });
+    vendor.reviews = vendor.reviews || [];
+    vendor.reviews.push(reviewId); // local index, see reindexVendors
+    markDirty('vendors', vendor.id);
+    updateRecord('orders', orderId, { reviewId });
+    saveState();
+    addActivity(`Rated ${vendor.name} ${stars}★ for order ${orderId}`);
+    return { ok: true, id: reviewId };
+  }
+
+  /* -------------------------
+     Popularity Ranking
+     ------------------------- */
+
+  // Scores decay exponentially so an order from last week counts more than one from last year.
+  // Each entry stores its score as of `updatedAt`; reads decay it to "now" without touching state.
+  const POPULARITY_HALF_LIFE_MS = 14 * 24 * 60 * 60 * 1000;
+  const POPULARITY_PLACED_WEIGHT = 0.3; // provisional credit while an order is open
+  const POPULARITY_COMPLETED_WEIGHT = 1;
+  const POPULARITY_REPEAT_BONUS = 1.5; // multiplier when the customer has completed an order here before
+  const POPULAR_BADGE_COUNT = 2;
+  const POPULAR_BADGE_MIN_SCORE = 0.5;
+
+  function emptyPopularity() {
+    return { vendors: {}, products: {}, customers: {} };
+  }
+
+  function decayFactor(fromMs, toMs) {
+    return Math.pow(0.5, (toMs - fromMs) / POPULARITY_HALF_LIFE_MS);
+  }
+
+  function bumpPopularity(bucket, id, weight, at) {
+    const entry = bucket[id] || (bucket[id] = { score: 0, updatedAt: at });
+    if (at >= entry.updatedAt) {
+      entry.score = entry.score * decayFactor(entry.updatedAt, at) + weight;
+      entry.updatedAt = at;
+    } else {
+      // older event replayed after a newer one (rebuild): decay the weight instead
+      entry.score += weight * decayFactor(at, entry.updatedAt);
+    }
+    if (entry.score < 0) entry.score = 0;
+  }
+
+  function getPopularity(kind, id) {
+    const entry = state.popularity && state.popularity[kind] && state.popularity[kind][id];
+    if (!entry) return 0;
+    return entry.score * decayFactor(entry.updatedAt, Date.now());
+  }
+
+  // Apply the popularity credit for an order reaching `stage` (placed/completed/cancelled).
+  // `order.popularityStage` remembers what has been counted so repeated calls are no-ops.
+  function recordOrderPopularity(order, stage, at = Date.now()) {
+    if (!state.popularity) state.popularity = emptyPopularity();
+    const pop = state.popularity;
+    const prev = order.popularityStage || null;
+    let weight = 0;
+
+    if (stage === 'placed') {
+      if (prev) return;
+      weight = POPULARITY_PLACED_WEIGHT;
+    } else if (stage === 'completed') {
+      if (prev === 'completed') return;
+      pop.customers[order.vendorId] = pop.customers[order.vendorId] || {};
+      const seen = pop.customers[order.vendorId];
+      const completedBefore = seen[order.customerId] || 0;
+      weight = POPULARITY_COMPLETED_WEIGHT * (completedBefore ? POPULARITY_REPEAT_BONUS : 1);
+      if (prev === 'placed') weight -= POPULARITY_PLACED_WEIGHT * decayFactor(new Date(order.createdAt).getTime(), at);
+      seen[order.customerId] = completedBefore + 1;
+    } else if (stage === 'cancelled' || stage === 'rejected') {
+      if (prev !== 'placed') return;
+      weight = -POPULARITY_PLACED_WEIGHT * decayFactor(new Date(order.createdAt).getTime(), at);
+    } else {
+      return;
+    }
+
+    bumpPopularity(pop.vendors, order.vendorId, weight, at);
+    for (const it of order.items || []) {
+      bumpPopularity(pop.products, it.productId, weight * (it.qty || 1), at);
+    }
+    order.popularityStage = stage;
+    markDirty('orders', order.id);
+  }
+
+  // Count the parts of an order's life that haven't been yet, at the times they happened. Used for
+  // orders that changed somewhere else (another device, a restored backup).
+  function catchUpOrderPopularity(o) {
+    recordOrderPopularity(o, 'placed', new Date(o.createdAt).getTime());
+    if (o.status === 'completed') recordOrderPopularity(o, 'completed', new Date(o.completedAt || o.createdAt).getTime());
+    else if (o.status === 'cancelled' || o.status === 'rejected') recordOrderPopularity(o, o.status, new Date(o.createdAt).getTime());
+  }
+
+  // One-off replay of order history, used when saved data predates popularity tracking
+  function rebuildPopularity() {
+    state.popularity = emptyPopularity();
+    const orders = Object.values(state.orders || {}).sort((a, b) => (a.createdAt > b.createdAt ? 1 : -1));
+    for (const o of orders) {
+      o.popularityStage = null;
+      catchUpOrderPopularity(o);
+    }
+    saveState();
+  }
+
+  function topPopularProducts(vendor) {
+    return (vendor.products || [])
+      .map((pid) => ({ pid, score: getPopularity('products', pid) }))
+      .filter((e) => e.score >= POPULAR_BADGE_MIN_SCORE)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, POPULAR_BADGE_COUNT)
+      .map((e) => e.pid);
+  }
+
+  /* -------------------------
+     Order Status Updates
+     ------------------------- */
+
+  // Order lifecycle: pending → accepted → ready → completed. A customer may cancel while
+  // pending; a vendor may reject (with a reason) until the order is ready. Terminal states have no exits.
+  const ORDER_TRANSITIONS = {
+    pending: ['accepted', 'cancelled', 'rejected'],
+    accepted: ['ready', 'rejected'],
+    ready: ['completed'],
+    completed: [],
+    cancelled: [],
+    rejected: [],
+  };
+
+  const ORDER_STATUS_LABELS = {
+    pending: 'Pending',
+    accepted: 'Accepted',
+    ready: 'Ready for pickup',
+    completed: 'Completed',
+    cancelled: 'Cancelled',
+    rejected: 'Rejected',
+  };
+
+  function canTransition(from, to) {
+    return (ORDER_TRANSITIONS[from] || []).includes(to);
+  }
+
+  function isTerminalStatus(status) {
+    return !(ORDER_TRANSITIONS[status] || []).length;
+  }
+
+  // Orders saved before history was tracked only know their creation time
+  function orderHistory(ord) {
+    if (ord.history && ord.history.length) return ord.history;
+    return [{ status: 'pending', at: ord.createdAt }];
+  }
+
+  function updateOrderStatus(orderId, status, { reason = '' } = {}) {
+    const ord = state.orders[orderId];
+    if (!ord) return { ok: false, msg: 'Order not found' };
+    const from = ord.status || 'pending';
+    if (!ORDER_STATUS_LABELS[status]) return refuse(`Unknown order status "${status}"`);
+    if (!canTransition(from, status)) {
+      return refuse(`Order ${orderId} is ${ORDER_STATUS_LABELS[from] || from} and can't be marked ${ORDER_STATUS_LABELS[status]}`);
+    }
+    const denied = authorize(ORDER_STATUS_ACTIONS[status], ord);
+    if (denied) return refuse(denied.msg);
+    const why = cleanText(reason, TEXT_LIMITS.note);
+    if (status === 'rejected' && !why) return refuse('Give a reason for rejecting the order');
+
+    const at = nowIso();
+    const entry = Object.assign({ status, at, by: state.currentUserId || null }, why ? { reason: why } : {});
+    updateRecord('orders', orderId, {
+      history: orderHistory(ord).concat(entry),
+      status,
+      completedAt: status === 'completed' ? at : ord.completedAt,
+      rejectionReason: status === 'rejected' ? why : ord.rejectionReason,
+    });
+    if (isTerminalStatus(status)) cancelJobsForOrder(orderId);
+    if (status === 'cancelled' || status === 'rejected') restoreStock(ord);
+    recordOrderPopularity(ord, status);
+    saveState();
+    addActivity(`Order ${orderId} marked ${status}${why ? ` (${why})` : ''}`);
+    ui.renderOrders();
+    ui.renderVendorOrders();
+    ui.renderStockAlerts();
+
+    // notify customer
+    const cust = state.users[ord.customerId];
+    if (cust) {
+      const msg = orderUpdateMessage(orderId, status, why);
+      // customers cancel their own orders; that news is for the vendor's inbox instead
+      if (status !== 'cancelled') addNotification(cust.id, { type: 'order', title: 'Order update', body: msg, orderId, status });
+      if (settings.notificationMode === 'browser') ui.browserNotify('Order update', msg);
+      else ui.showToast(msg, 3500);
+    }
+    const vendor = state.vendors[ord.vendorId];
+    if (status === 'cancelled' && vendor) {
+      addNotification(vendor.userId, { type: 'order', title: 'Order cancelled', body: `Order ${orderId} was cancelled by the customer`, orderId, status });
+    }
+    return { ok: true };
+
+    function refuse(msg) {
+      ui.showToast(msg, 2500);
+      return { ok: false, msg };
+    }
+  }
+
+  // Derived counters for the order stats panel
+  function orderStatusCounts(orders) {
+    const counts = {};
+    for (const status in ORDER_TRANSITIONS) counts[status] = 0;
+    for (const o of orders) counts[o.status] = (counts[o.status] || 0) + 1;
+    return counts;
+  }
+
+  /* -------------------------
+     Modal Order Detail
+     ------------------------- */
+
+  function openOrderModal(orderId) {
+    const ord = state.orders[orderId];
+    if (!ord) return;
+    const body = ui.$('#modal-order-content');
+    const vendor = state.vendors[ord.vendorId] || {};
+    const cust = state.users[ord.customerId] || {};
+    setHtml(body, html`<div><strong>Order ${ord.id}</strong></div>
+      <div class="muted">Vendor: ${vendor.name || '—'}</div>
+      <div class="muted">Customer: ${cust.name || '—'} • ${ord.contactPhone || ''}</div>
+      <div style="margin-top:8px">${ord.items.map(it => {
+        const item = orderItemInfo(it);
+        return html`<div>${item.name} × ${it.qty} — ₹${item.price * it.qty}${it.note ? html` <span class="muted small">“${it.note}”</span>` : ''}</div>`;
+      })}</div>
+      ${renderPricingRows(orderPricing(ord))}
+      <div style="margin-top:8px">Status: <span class="order-status ${statusClass(ord.status)}">${ORDER_STATUS_LABELS[ord.status] || ord.status}</span></div>
+      ${ord.rejectionReason ? html`<div class="text-danger" style="margin-top:4px">Reason: ${ord.rejectionReason}</div>` : ''}
+      <div class="muted" style="margin-top:8px">Placed: ${new Date(ord.createdAt).toLocaleString()}</div>
+      <div class="order-history"><h4>Status history</h4><ul>${orderHistory(ord).map(h =>
+        html`<li><span class="order-status ${statusClass(h.status)}">${ORDER_STATUS_LABELS[h.status] || h.status}</span> <span class="muted small">${new Date(h.at).toLocaleString()}${h.reason ? ' — ' + h.reason : ''}</span></li>`
+      )}</ul></div>`);
+    renderOrderPayment(ord, body);
+    renderOrderReview(ord, body);
+    renderOrderScheduleControls(ord, body);
+    ui.openModal('modal-order');
+
+    // only offer the transitions the lifecycle allows from the current status, to whoever may make them
+    const actions = {
+      '#btn-order-accept': 'accepted',
+      '#btn-order-ready': 'ready',
+      '#btn-order-complete': 'completed',
+      '#btn-order-reject': 'rejected',
+      '#btn-order-cancel': 'cancelled',
+    };
+    const receiptBtn = ui.$('#btn-order-receipt');
+    if (receiptBtn) receiptBtn.onclick = () => printReceipt(orderId);
+    for (const sel in actions) {
+      const btn = ui.$(sel);
+      if (!btn) continue;
+      const next = actions[sel];
+      btn.classList.toggle('hidden', !canTransition(ord.status, next) || !can(ORDER_STATUS_ACTIONS[next], ord));
+      btn.onclick = () => {
+        if (next === 'rejected') return renderRejectForm(ord, body);
+        const res = next === 'cancelled' ? cancelOrder(orderId) : updateOrderStatus(orderId, next);
+        if (res.ok) openOrderModal(orderId);
+        else if (next === 'cancelled') ui.showToast(res.msg, 2500);
+      };
+    }
+  }
+
+  // Same rows as the cart's order summary, from the breakdown stored at checkout
+  function renderPricingRows(pricing) {
+    return html`<div class="order-pricing">
+      <div class="summary-row"><span>Items</span><span>₹${pricing.subtotal}</span></div>
+      ${pricing.discount ? html`<div class="summary-row"><span>${pricing.discount.label}${pricing.discount.code ? ` (${pricing.discount.code})` : ''}</span><span>−₹${pricing.discount.amount}</span></div>` : ''}
+      <div class="summary-row"><span>${describeFulfilment(pricing)}</span><span>₹${pricing.deliveryFee}</span></div>
+      ${pricing.tax ? html`<div class="summary-row"><span>Tax (${pricing.taxRate}%)</span><span>₹${pricing.tax}</span></div>` : ''}
+      <div class="summary-row total"><strong>Total</strong><strong>₹${pricing.total}</strong></div>
+    </div>`;
+  }
+
+  // Payment section of the order modal: the UPI QR code for the customer while it's owed, and
+  // confirm / refund buttons for the vendor
+  function renderOrderPayment(ord, body) {
+    const payment = orderPayment(ord);
+    const vendor = state.vendors[ord.vendorId] || {};
+    const total = orderPricing(ord).total;
+    const calledOff = ord.status === 'cancelled' || ord.status === 'rejected';
+    const owed = payment.status === 'unpaid' && !calledOff;
+    const link = owed && payment.method === 'upi' && vendor.upiId && ord.customerId === state.currentUserId ? upiPaymentLink(vendor, total, `Order ${ord.id}`) : '';
+    const qr = link && encodeQr(link);
+    const wrap = document.createElement('div');
+    wrap.className = 'order-payment';
+    const buttons = { paid: 'Mark paid', refunded: 'Mark refunded', unpaid: 'Undo payment' };
+    const next = can('order.payment', ord) ? PAYMENT_TRANSITIONS[payment.status].filter(s => s !== 'paid' || !calledOff) : [];
+    setHtml(wrap, html`<h4>Payment</h4>
+      <div>${PAYMENT_METHODS[payment.method]} • <span class="payment-status ${payment.status}">${PAYMENT_STATUS_LABELS[payment.status]}</span>${payment.reference ? html` <span class="muted small">Ref ${payment.reference}</span>` : ''}</div>
+      ${payment.status === 'paid' && calledOff ? html`<div class="text-danger small">This order was called off — refund the customer</div>` : ''}
+      ${qr ? html`<div class="upi-pay">${qrSvg(qr, `UPI code to pay ₹${total}`)}
+        <div>Scan with any UPI app to pay <strong>₹${total}</strong> to ${vendor.upiId}</div>
+        <a class="btn small" href="${link}">Open UPI app</a>
+      </div>` : ''}
+      ${next.includes('paid') && payment.method === 'upi' ? html`<div class="form-row"><input class="payment-reference" type="text" maxlength="40" placeholder="UPI reference (optional)" /></div>` : ''}
+      ${next.map(s => html`<button class="btn small set-payment" data-status="${s}">${buttons[s]}</button> `)}`);
+    wrap.querySelectorAll('.set-payment').forEach(b => b.addEventListener('click', () => {
+      const ref = wrap.querySelector('.payment-reference');
+      const res = setPaymentStatus(ord.id, b.dataset.status, { reference: ref ? ref.value : '' });
+      if (!res.ok) return ui.showToast(res.msg, 2200);
+      openOrderModal(ord.id);
+      ui.renderOrders();
+      ui.renderVendorOrders();
+      ui.renderReconciliation();
+    }));
+    body.appendChild(wrap);
+  }
+
+  function renderRejectForm(ord, body) {
+    if (body.querySelector('.reject-form')) return;
+    const wrap = document.createElement('div');
+    wrap.className = 'reject-form';
+    setHtml(wrap, html`<h4>Reject order</h4>
+      <div class="form-row"><input class="reject-reason" type="text" maxlength="${TEXT_LIMITS.note}" placeholder="Reason (e.g. sold out, closing early)" /></div>
+      <button class="btn small confirm-reject">Reject order</button>`);
+    wrap.querySelector('.confirm-reject').addEventListener('click', () => {
+      const res = updateOrderStatus(ord.id, 'rejected', { reason: wrap.querySelector('.reject-reason').value });
+      if (res.ok) openOrderModal(ord.id);
+    });
+    body.appendChild(wrap);
+    wrap.querySelector('.reject-reason').focus();
+  }
+
+  // Review section of the order modal: the existing review, or a form for the customer once completed
+  function renderOrderReview(ord, body) {
+    const review = ord.reviewId && state.reviews[ord.reviewId];
+    const wrap = document.createElement('div');
+    wrap.className = 'order-review';
+    if (review) {
+      const line = document.createElement('div');
+      line.textContent = `Rating: ${'★'.repeat(review.rating)}${'☆'.repeat(5 - review.rating)}${review.text ? ' — ' + review.text : ''}`;
+      wrap.appendChild(line);
+      body.appendChild(wrap);
+      return;
+    }
+    if (ord.status !== 'completed' || !can('order.review', ord)) return;
+
+    setHtml(wrap, html`<h4>Rate this order</h4>
+      <div class="form-row">
+        <select class="review-rating">
+          <option value="5">★★★★★ Excellent</option>
+          <option value="4">★★★★☆ Good</option>
+          <option value="3">★★★☆☆ Okay</option>
+          <option value="2">★★☆☆☆ Poor</option>
+          <option value="1">★☆☆☆☆ Bad</option>
+        </select>
+      </div>
+      <div class="form-row">
+        <textarea class="review-text" rows="2" maxlength="${REVIEW_MAX_LENGTH}" placeholder="Short review (optional)"></textarea>
+      </div>
+      <button class="btn small submit-review">Submit review</button>`);
+    wrap.querySelector('.submit-review').addEventListener('click', () => {
+      const res = submitReview(ord.id, wrap.querySelector('.review-rating').value, wrap.querySelector('.review-text').value);
+      if (!res.ok) return ui.showToast(res.msg || 'Could not save review', 2000);
+      ui.showToast('Thanks for your review!', 1800);
+      openOrderModal(ord.id);
+      ui.renderOrders();
+      ui.renderVendors();
+    });
+    body.appendChild(wrap);
+  }
+
+  // Value for a datetime-local input, in the browser's local time
+  function toLocalInputValue(date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+  }
+
+  // Options for a schedule <select>, one group per day; keeps `selected` when it is still offered
+  function fillScheduleSelect(select, times, selected) {
+    const days = [];
+    for (const t of times) {
+      const key = toDateKey(t);
+      if (!days.length || days[days.length - 1].key !== key) days.push({ key, label: t.toLocaleDateString(undefined, { weekday: 'short', day: 'numeric', month: 'short' }), times: [] });
+      days[days.length - 1].times.push(t);
+    }
+    setHtml(select, html`${days.map(d => html`<optgroup label="${d.label}">${d.times.map(t => html`<option value="${toLocalInputValue(t)}">${formatClock(t)}</option>`)}</optgroup>`)}`);
+    select.disabled = !times.length;
+    if (selected && times.some(t => toLocalInputValue(t) === selected)) select.value = selected;
   }
 
-  function removeFavorite(vendorId) {
-    const uid = state.currentUserId;
-    if (!uid) return;
-    state.favorites[uid] = state.favorites[uid] || [];
-    const arr = state.favorites[uid];
-    const idx = arr.indexOf(vendorId);
-    if (idx >= 0) arr.splice(idx, 1);
-    saveState();
+  // Reschedule controls in the order modal, for the customer until the order is sent to the vendor
+  function renderOrderScheduleControls(ord, body) {
+    if (!can('order.reschedule', ord) || ord.status !== 'pending' || !ord.schedule) return;
+    if (orderHasFired(ord.id)) return;
+    const wrap = document.createElement('div');
+    wrap.className = 'order-schedule-controls';
+    setHtml(wrap, html`<h4>Change schedule</h4>
+      <div class="form-row"><select class="reschedule-time"></select></div>
+      <button class="btn small do-reschedule">Reschedule</button>`);
+    const input = wrap.querySelector('.reschedule-time');
+    fillScheduleSelect(input, scheduleSlotTimes([ord.vendorId]), toLocalInputValue(new Date(ord.schedule)));
+    wrap.querySelector('.do-reschedule').addEventListener('click', () => {
+      const res = rescheduleOrder(ord.id, input.value ? new Date(input.value).toISOString() : null);
+      if (!res.ok) return ui.showToast(res.msg || 'Could not reschedule', 2000);
+      ui.showToast('Order rescheduled', 1500);
+      openOrderModal(ord.id);
+      ui.renderOrders();
+      ui.renderStats();
+    });
+    body.appendChild(wrap);
   }
 
   /* -------------------------
-     Order Status Updates
+     Receipts & Exports
      ------------------------- */
 
-  function updateOrderStatus(orderId, status) {
-    const ord = state.orders[orderId];
-    if (!ord) return;
-    ord.status = status;
-    saveState();
-    addActivity(`Order ${orderId} marked ${status}`);
-    ui.renderOrders();
-    ui.renderVendorOrders();
+  // Receipt for one order, from what was stored at checkout so it matches what the customer paid
+  function receiptMarkup(ord) {
+    const vendor = state.vendors[ord.vendorId] || {};
+    const cust = state.users[ord.customerId] || {};
+    const payment = orderPayment(ord);
+    const when = (iso) => (iso ? new Date(iso).toLocaleString() : '');
+    return html`<div class="receipt">
+      <header>
+        <h2>${vendor.name || 'Vendor'}</h2>
+        ${vendor.contactPhone ? html`<div>${vendor.contactPhone}</div>` : ''}
+        ${vendor.upiId ? html`<div>UPI: ${vendor.upiId}</div>` : ''}
+      </header>
+      <div class="receipt-meta">
+        <div>Order <strong>${ord.id}</strong></div>
+        <div>Placed: ${when(ord.createdAt)}</div>
+        ${ord.schedule ? html`<div>Scheduled for: ${when(ord.schedule)}</div>` : ''}
+        ${ord.completedAt ? html`<div>Completed: ${when(ord.completedAt)}</div>` : ''}
+        <div>Customer: ${ord.contactName || cust.name || '—'}${ord.contactPhone ? ` • ${ord.contactPhone}` : ''}</div>
+        <div>Status: ${ORDER_STATUS_LABELS[ord.status] || ord.status}</div>
+      </div>
+      <table class="receipt-items">
+        <thead><tr><th>Item</th><th>Qty</th><th>Price</th><th>Amount</th></tr></thead>
+        <tbody>${ord.items.map(it => {
+          const item = orderItemInfo(it);
+          return html`<tr><td>${item.name}${it.note ? html`<div class="small">“${it.note}”</div>` : ''}</td><td>${it.qty}</td><td>₹${item.price}</td><td>₹${roundMoney(item.price * it.qty)}</td></tr>`;
+        })}</tbody>
+      </table>
+      ${renderPricingRows(orderPricing(ord))}
+      <div class="receipt-payment">
+        Payment: ${PAYMENT_METHODS[payment.method]} — ${PAYMENT_STATUS_LABELS[payment.status]}
+        ${payment.paidAt ? html`<div class="small">Paid ${when(payment.paidAt)}${payment.reference ? ` • Ref ${payment.reference}` : ''}</div>` : ''}
+        ${payment.refundedAt ? html`<div class="small">Refunded ${when(payment.refundedAt)}</div>` : ''}
+      </div>
+      <footer class="small">Printed ${when(nowIso())} • StreetVendor</footer>
+    </div>`;
+  }
 
-    // notify customer
-    const cust = state.users[ord.customerId];
-    if (cust) {
-      const msg = `Order ${orderId} is now ${status}`;
-      if (settings.notificationMode === 'browser') ui.browserNotify('Order update', msg);
-      else ui.showToast(msg, 3500);
+  // The receipt goes in its own container that the print stylesheet shows instead of the app
+  function printReceipt(orderId) {
+    const ord = state.orders[orderId];
+    if (!ord) return { ok: false, msg: 'Order not found' };
+    let area = document.getElementById('print-area');
+    if (!area) {
+      area = document.createElement('div');
+      area.id = 'print-area';
+      document.body.appendChild(area);
     }
+    setHtml(area, receiptMarkup(ord));
+    window.print();
+    return { ok: true };
   }
 
-  /* -------------------------
-     Modal Order Detail
-     ------------------------- */
+  // A vendor's orders placed between two YYYY-MM-DD days (inclusive), oldest first
+  function vendorOrdersInRange(vendor, fromKey, toKey) {
+    return (vendor.orders || [])
+      .map(id => state.orders[id])
+      .filter(o => o && toDateKey(new Date(o.createdAt)) >= fromKey && toDateKey(new Date(o.createdAt)) <= toKey)
+      .sort((a, b) => (a.createdAt < b.createdAt ? -1 : 1));
+  }
 
-  function openOrderModal(orderId) {
-    const ord = state.orders[orderId];
-    if (!ord) return;
-    const body = ui.$('#modal-order-content');
-    const vendor = state.vendors[ord.vendorId] || {};
-    const cust = state.users[ord.customerId] || {};
-    body.innerHTML = `<div><strong>Order ${ord.id}</strong></div>
-      <div class="muted">Vendor: ${vendor.name || '—'}</div>
-      <div class="muted">Customer: ${cust.name || '—'} • ${ord.contactPhone || ''}</div>
-      <div style="margin-top:8px">${ord.items.map(it => {
-        const p = state.products[it.productId] || {};
-        return `<div>${p.name || 'Item'} × ${it.qty} — ₹${p.price ? p.price*it.qty : 0}</div>`;
-      }).join('')}</div>
-      <div style="margin-top:8px">Status: <span class="${statusClass(ord.status)}">${ord.status}</span></div>
-      <div class="muted" style="margin-top:8px">Placed: ${new Date(ord.createdAt).toLocaleString()}</div>`;
-    ui.openModal('modal-order');
-    // wire accept/complete buttons in modal
-    ui.$('#btn-order-accept').onclick = () => updateOrderStatus(orderId, 'accepted');
-    ui.$('#btn-order-complete').onclick = () => updateOrderStatus(orderId, 'completed');
+  // One row per order; items are folded into a single cell so spreadsheets keep one line per order
+  const ORDER_EXPORT_COLUMNS = {
+    orderId: (o) => o.id,
+    placedAt: (o) => o.createdAt,
+    scheduledFor: (o) => o.schedule || '',
+    completedAt: (o) => o.completedAt || '',
+    status: (o) => o.status,
+    customer: (o) => o.contactName || (state.users[o.customerId] || {}).name || '',
+    phone: (o) => o.contactPhone || '',
+    items: (o) => o.items.map(it => `${orderItemInfo(it).name} x${it.qty} @${orderItemInfo(it).price}${it.note ? ` (${it.note})` : ''}`).join('; '),
+    fulfilment: (o) => orderPricing(o).fulfilment,
+    subtotal: (o) => orderPricing(o).subtotal,
+    discount: (o) => (orderPricing(o).discount ? orderPricing(o).discount.amount : 0),
+    deliveryFee: (o) => orderPricing(o).deliveryFee,
+    tax: (o) => orderPricing(o).tax,
+    total: (o) => orderPricing(o).total,
+    paymentMethod: (o) => orderPayment(o).method,
+    paymentStatus: (o) => orderPayment(o).status,
+    paidAt: (o) => orderPayment(o).paidAt || '',
+  };
+
+  // Quote when needed, and defuse cells a spreadsheet would run as a formula (names are customer-typed)
+  function csvCell(value) {
+    let text = String(value === null || value === undefined ? '' : value);
+    if (/^[=+\-@\t\r]/.test(text) && typeof value !== 'number') text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  function exportVendorOrders(vendorId, fromKey, toKey, format) {
+    const vendor = state.vendors[vendorId];
+    if (!vendor) return { ok: false, msg: 'Vendor not found' };
+    const denied = authorize('order.export', vendor);
+    if (denied) return denied;
+    if (!fromDateKey(fromKey) || !fromDateKey(toKey)) return { ok: false, msg: 'Pick both dates' };
+    if (fromKey > toKey) return { ok: false, msg: 'The start date is after the end date' };
+    const orders = vendorOrdersInRange(vendor, fromKey, toKey);
+    if (!orders.length) return { ok: false, msg: 'No orders in those dates' };
+    const filename = `${vendor.name.replace(/[^\w-]+/g, '-').toLowerCase()}-orders-${fromKey}-to-${toKey}.${format}`;
+    if (format === 'json') {
+      const records = orders.map(o => Object.assign({}, o, { pricing: orderPricing(o), payment: orderPayment(o) }));
+      const text = JSON.stringify({ exportedAt: nowIso(), vendor: { id: vendor.id, name: vendor.name }, from: fromKey, to: toKey, orders: records }, null, 2);
+      return { ok: true, filename, text, type: 'application/json', count: orders.length };
+    }
+    const columns = Object.keys(ORDER_EXPORT_COLUMNS);
+    const lines = [columns.join(',')].concat(orders.map(o => columns.map(c => csvCell(ORDER_EXPORT_COLUMNS[c](o))).join(',')));
+    return { ok: true, filename, text: lines.join('\r\n') + '\r\n', type: 'text/csv', count: orders.length };
   }
 
   /* -------------------------
@@ -1059,6 +5667,10 @@
     // Auth
     const btnLogin = ui.$('#btn-login');
     btnLogin && btnLogin.addEventListener('click', handleLogin);
+    const btnSendOtp = ui.$('#btn-send-otp');
+    btnSendOtp && btnSendOtp.addEventListener('click', handleSendOtp);
+    const btnVerifyOtp = ui.$('#btn-verify-otp');
+    btnVerifyOtp && btnVerifyOtp.addEventListener('click', handleVerifyOtp);
 
     const quickDemoBtn = ui.$('#btn-quick-demo');
     quickDemoBtn && quickDemoBtn.addEventListener('click', () => {
@@ -1069,8 +5681,15 @@
     // Logout
     const btnLogout = ui.$('#btn-logout');
     btnLogout && btnLogout.addEventListener('click', () => {
-      state.currentUserId = null;
-      saveState();
+      endSession();
+      ui.renderAll();
+    });
+    const btnLogoutAll = ui.$('#btn-logout-all');
+    btnLogoutAll && btnLogoutAll.addEventListener('click', () => {
+      if (!confirm('Sign out of this account on every device?')) return;
+      const res = logoutAllDevices();
+      if (!res.ok) return ui.showToast(res.msg, 2000);
+      ui.showToast('Signed out on all devices', 2500);
       ui.renderAll();
     });
 
@@ -1100,30 +5719,115 @@
       ui.renderVendors();
     });
 
+    // vendor list sorting
+    const sortBy = ui.$('#sort-by');
+    sortBy && sortBy.addEventListener('change', () => ui.renderVendors());
+
+    // list / map view switch and the filters the map shares with the list
+    ui.$$('.view-toggle [data-view]').forEach(b => b.addEventListener('click', () => ui.setVendorView(b.dataset.view)));
+    ['#select-radius', '#filter-category'].forEach(sel => {
+      const el = ui.$(sel);
+      el && el.addEventListener('change', () => ui.renderVendors());
+    });
+    const btnRefreshVendors = ui.$('#btn-refresh-vendors');
+    btnRefreshVendors && btnRefreshVendors.addEventListener('click', () => ui.renderVendors());
+
+    // vendor on/off duty
+    const activeToggle = ui.$('#vendor-active-toggle');
+    activeToggle && activeToggle.addEventListener('change', () => {
+      const u = state.users[state.currentUserId];
+      if (!u || u.role !== 'vendor') {
+        activeToggle.checked = false;
+        return ui.showToast('Login as vendor first', 2000);
+      }
+      const vendor = ensureVendorProfile(u);
+      setVendorActive(vendor.id, activeToggle.checked);
+      if (vendor.active && !vendor.location) ui.showToast('You are active — press "Set GPS" so nearby customers can find you', 3000);
+      else ui.showToast(vendor.active ? 'You are now active' : 'You are now inactive', 1500);
+      // customer-facing lists and proximity alerts pick up the change right away
+      ui.renderAll();
+      proximityScanOnce();
+    });
+
+    // vendor stall profile
+    const btnSaveProfile = ui.$('#btn-save-vendor-profile');
+    btnSaveProfile && btnSaveProfile.addEventListener('click', async (ev) => {
+      ev.preventDefault();
+      const u = state.users[state.currentUserId];
+      if (!u || u.role !== 'vendor') return ui.showToast('Login as vendor first', 2000);
+      const vendor = ensureVendorProfile(u);
+      const fileEl = ui.$('#vp-photo-file');
+      const file = fileEl && fileEl.files && fileEl.files[0];
+      let photo = (ui.$('#vp-photo-url') && ui.$('#vp-photo-url').value.trim()) || (vendor.photo && vendor.photo.startsWith('data:') ? vendor.photo : '');
+      if (file) {
+        if (!/^image\//.test(file.type)) return ui.showToast('Stall photo must be an image', 2000);
+        if (file.size > VENDOR_PHOTO_MAX_BYTES) return ui.showToast('Stall photo must be under 300 KB', 2200);
+        try {
+          photo = await readFileAsDataUrl(file);
+        } catch (e) {
+          return ui.showToast('Could not read photo: ' + e.message, 2200);
+        }
+      }
+      const res = updateVendorProfile(vendor.id, {
+        name: ui.$('#vp-name') && ui.$('#vp-name').value,
+        category: ui.$('#vp-category') && ui.$('#vp-category').value,
+        meta: ui.$('#vp-meta') && ui.$('#vp-meta').value,
+        contactPhone: ui.$('#vp-phone') && ui.$('#vp-phone').value,
+        upiId: ui.$('#vp-upi') && ui.$('#vp-upi').value,
+        photo,
+      });
+      if (!res.ok) return ui.showToast(res.msg, 2200);
+      if (fileEl) fileEl.value = '';
+      document.activeElement && document.activeElement.blur && document.activeElement.blur();
+      ui.showToast('Profile saved', 1200);
+      ui.renderAll();
+    });
+
+    // storage recovery banner
+    const btnStorageDownload = ui.$('#btn-storage-download');
+    btnStorageDownload && btnStorageDownload.addEventListener('click', () => {
+      if (!storageIssue) return;
+      let text = null;
+      if (storageIssue.kind === 'repaired') text = JSON.stringify(state.quarantine, null, 2);
+      else text = storageIssue.rawText || (storageIssue.backupKey && localStorage.getItem(storageIssue.backupKey));
+      if (!text) return ui.showToast('Nothing to download', 1500);
+      downloadText(`streetvendor-${storageIssue.kind === 'repaired' ? 'quarantine' : 'saved-data'}-${toDateKey(new Date())}.json`, text);
+    });
+    const btnStorageFresh = ui.$('#btn-storage-fresh');
+    btnStorageFresh && btnStorageFresh.addEventListener('click', () => {
+      if (!window.confirm('Start with empty data? The newer saved data will be kept under a separate key.')) return;
+      if (storageIssue && storageIssue.rawText) keepCorruptCopy(storageIssue.rawText);
+      storageReadOnly = false;
+      storageIssue = null;
+      persisted = null; // replace whatever is stored
+      flushState();
+      ui.renderStorageNotice();
+    });
+    const btnStorageDismiss = ui.$('#btn-storage-dismiss');
+    btnStorageDismiss && btnStorageDismiss.addEventListener('click', () => {
+      ui.$('#storage-banner').classList.add('hidden');
+    });
+
     // Vendor location GPS
     const btnUseGps = ui.$('#btn-use-gps');
     btnUseGps && btnUseGps.addEventListener('click', () => {
       getAndSetCurrentUserLocation().then(loc => {
         ui.showToast('Location saved (for demo).', 2000);
+        ui.renderAll();
       }).catch(err => ui.showToast('Location error: ' + err.message, 2000));
     });
 
-    // customer GPS
+    // customer live location: turning it on asks for permission, and it resumes when they sign in again
     const btnGetMyLoc = ui.$('#btn-get-my-loc');
-    btnGetMyLoc && btnGetMyLoc.addEventListener('click', async () => {
-      try {
-        const loc = await getBrowserLocation();
-        // store as last known on current user
-        const u = state.users[state.currentUserId];
-        if (u) {
-          u._lastKnownLocation = loc;
-          saveState();
-          ui.showToast(`Location set: ${loc.lat.toFixed(4)}, ${loc.lng.toFixed(4)}`, 2000);
-          ui.renderVendors();
-        }
-      } catch (e) {
-        ui.showToast('Unable to get location: ' + e.message, 2400);
-      }
+    btnGetMyLoc && btnGetMyLoc.addEventListener('click', () => {
+      const customer = trackedCustomer();
+      if (!customer) return ui.showToast('Login as customer to track your location', 2000);
+      const on = !isTrackingLocation();
+      setLocationTrackingWanted(customer.id, on);
+      if (on) {
+        geoStatus = { kind: 'off', accuracy: null }; // clears an earlier "denied" so the browser is asked again
+        startLocationTracking();
+      } else stopLocationTracking();
     });
 
     // vendor add product
@@ -1134,6 +5838,7 @@
       const price = ui.$('#prod-price') && ui.$('#prod-price').value;
       const desc = ui.$('#prod-desc') && ui.$('#prod-desc').value;
       const img = ui.$('#prod-img') && ui.$('#prod-img').value;
+      const stock = ui.$('#prod-stock') && ui.$('#prod-stock').value;
       if (!state.currentUserId) return ui.showToast('Login as vendor first', 2000);
       const u = state.users[state.currentUserId];
       if (!u || u.role !== 'vendor') return ui.showToast('Not a vendor account', 2000);
@@ -1143,11 +5848,14 @@
         ui.showToast('No vendor profile associated', 2000);
         return;
       }
-      if (!name || !price) {
+      if (!cleanText(name) || !price) {
         ui.showToast('Name and price required', 2000);
         return;
       }
-      addProductToVendor(vendor.id, { name, price: Number(price), desc, img });
+      if (cleanImageUrl(img) === null) return ui.showToast('Image must be an http(s) link', 2000);
+      const denied = authorize('product.create', vendor);
+      if (denied) return ui.showToast(denied.msg, 2000);
+      addProductToVendor(vendor.id, { name, price: Number(price), desc, img, stock });
       ui.showToast('Product added', 1200);
       ui.renderAll();
     });
@@ -1158,38 +5866,252 @@
       if (!state.currentUserId) return ui.showToast('Login to place order', 2000);
       const u = state.users[state.currentUserId];
       if (!u || u.role !== 'customer') return ui.showToast('Switch to Customer role to place orders', 2000);
-      const scheduleType = ui.$('#order-schedule-type') && ui.$('#order-schedule-type').value;
-      const scheduleTimeEl = ui.$('#order-schedule-time');
-      const scheduleIso = scheduleType === 'later' && scheduleTimeEl && scheduleTimeEl.value ? new Date(scheduleTimeEl.value).toISOString() : null;
+      const scheduleIso = ui.getScheduleIso();
       const contactName = ui.$('#checkout-name') && ui.$('#checkout-name').value.trim();
       const contactPhone = ui.$('#checkout-phone') && ui.$('#checkout-phone').value.trim();
       const res = placeOrder(u.id, scheduleIso, contactName, contactPhone);
       if (res.ok) {
-        ui.showToast('Order placed: ' + res.ids.join(', '), 3000);
         ui.renderAll();
+        // UPI orders open straight onto the QR code; each order is paid to its own stall
+        if (orderPayment(state.orders[res.ids[0]]).method === 'upi') {
+          openOrderModal(res.ids[0]);
+          ui.showToast(res.ids.length > 1 ? 'Orders placed — pay each stall from its order in Orders' : 'Order placed — scan the code to pay', 3500);
+        } else ui.showToast('Order placed: ' + res.ids.join(', '), 3000);
       } else ui.showToast(res.msg || 'Order failed', 2000);
     });
     // schedule type switching
-    const scheduleType = ui.$('#order-schedule-type');
+    const scheduleType = ui.$('#schedule-type');
     scheduleType && scheduleType.addEventListener('change', () => {
       const st = scheduleType.value;
-      const timeEl = ui.$('#order-schedule-time');
+      const timeEl = ui.$('#schedule-time');
       if (st === 'later') timeEl.classList.remove('hidden');
       else timeEl.classList.add('hidden');
+      // deals can differ at the chosen time, so the totals follow the picker
+      ui.renderCart();
+    });
+    const scheduleTime = ui.$('#schedule-time');
+    scheduleTime && scheduleTime.addEventListener('change', () => ui.renderCart());
+
+    // vendor opening hours
+    const hoursEnabled = ui.$('#vh-enabled');
+    hoursEnabled && hoursEnabled.addEventListener('change', () => {
+      ui.$$('#form-vendor-hours .vh-day, #vh-closures').forEach(el => (el.disabled = !hoursEnabled.checked));
+    });
+    const btnSavePricing = ui.$('#btn-save-vendor-pricing');
+    btnSavePricing && btnSavePricing.addEventListener('click', (ev) => {
+      ev.preventDefault();
+      const u = state.users[state.currentUserId];
+      if (!u || u.role !== 'vendor') return ui.showToast('Login as vendor first', 2000);
+      const vendor = ensureVendorProfile(u);
+      const res = setVendorPricing(vendor.id, {
+        delivery: ui.$('#vpr-delivery') && ui.$('#vpr-delivery').checked,
+        minOrder: ui.$('#vpr-min-order') && ui.$('#vpr-min-order').value,
+        freeDeliveryOver: ui.$('#vpr-free-over') && ui.$('#vpr-free-over').value,
+        taxRatePercent: ui.$('#vpr-tax') && ui.$('#vpr-tax').value,
+      });
+      if (!res.ok) return ui.showToast(res.msg, 2000);
+      document.activeElement && document.activeElement.blur && document.activeElement.blur();
+      ui.showToast('Delivery & pricing saved', 1200);
+      ui.renderAll();
+    });
+
+    const reconDate = ui.$('#recon-date');
+    if (reconDate) {
+      reconDate.value = toDateKey(new Date());
+      reconDate.addEventListener('change', () => ui.renderReconciliation());
+    }
+
+    const btnNotifications = ui.$('#btn-notifications');
+    btnNotifications && btnNotifications.addEventListener('click', () => {
+      ui.renderNotifications();
+      ui.openModal('modal-notifications');
+    });
+    const notifList = ui.$('#notif-list');
+    notifList && notifList.addEventListener('click', (ev) => {
+      const item = ev.target.closest('.notif-item');
+      if (!item) return;
+      const res = openNotification(item.dataset.nid);
+      if (!res.ok) ui.showToast(res.msg, 2000);
+    });
+    const btnNotifReadAll = ui.$('#btn-notif-read-all');
+    btnNotifReadAll && btnNotifReadAll.addEventListener('click', () => markNotificationsRead(state.currentUserId));
+    const btnNotifClear = ui.$('#btn-notif-clear');
+    btnNotifClear && btnNotifClear.addEventListener('click', () => clearNotifications(state.currentUserId));
+
+    const analyticsRange = ui.$('#analytics-range');
+    if (analyticsRange) analyticsRange.addEventListener('change', () => ui.renderAnalytics());
+
+    const exportFrom = ui.$('#export-from');
+    const exportTo = ui.$('#export-to');
+    if (exportFrom && exportTo) {
+      const today = new Date();
+      exportTo.value = toDateKey(today);
+      exportFrom.value = toDateKey(new Date(today.getFullYear(), today.getMonth(), today.getDate() - 6));
+    }
+    const exportOrders = (format) => {
+      const u = state.users[state.currentUserId];
+      const vendor = u && u.role === 'vendor' ? vendorForUser(u.id) : null;
+      if (!vendor) return ui.showToast('Login as vendor first', 2000);
+      const res = exportVendorOrders(vendor.id, exportFrom && exportFrom.value, exportTo && exportTo.value, format);
+      if (!res.ok) return ui.showToast(res.msg, 2000);
+      downloadText(res.filename, res.text, res.type);
+      ui.showToast(`Exported ${res.count} order${res.count === 1 ? '' : 's'}`, 1500);
+    };
+    const btnExportCsv = ui.$('#btn-export-csv');
+    btnExportCsv && btnExportCsv.addEventListener('click', (ev) => {
+      ev.preventDefault();
+      exportOrders('csv');
+    });
+    const btnExportJson = ui.$('#btn-export-json');
+    btnExportJson && btnExportJson.addEventListener('click', (ev) => {
+      ev.preventDefault();
+      exportOrders('json');
+    });
+
+    const promoType = ui.$('#vpd-type');
+    const showPromoFields = () => {
+      const bogo = promoType && promoType.value === 'bogo';
+      ui.$$('.vpd-value-row').forEach(r => r.classList.toggle('hidden', bogo));
+      ui.$$('.vpd-bogo-row').forEach(r => r.classList.toggle('hidden', !bogo));
+    };
+    promoType && promoType.addEventListener('change', showPromoFields);
+
+    const btnAddPromo = ui.$('#btn-add-promo');
+    btnAddPromo && btnAddPromo.addEventListener('click', (ev) => {
+      ev.preventDefault();
+      const u = state.users[state.currentUserId];
+      if (!u || u.role !== 'vendor') return ui.showToast('Login as vendor first', 2000);
+      const vendor = ensureVendorProfile(u);
+      const val = (sel) => (ui.$(sel) ? ui.$(sel).value : '');
+      const res = createPromo(vendor.id, {
+        label: val('#vpd-label'),
+        code: val('#vpd-code'),
+        type: val('#vpd-type'),
+        value: val('#vpd-value'),
+        buyProductId: val('#vpd-buy-product'),
+        buyQty: val('#vpd-buy-qty'),
+        getProductId: val('#vpd-get-product'),
+        getQty: val('#vpd-get-qty'),
+        from: val('#vpd-from'),
+        to: val('#vpd-to'),
+        firstOrderOnly: ui.$('#vpd-first-order') && ui.$('#vpd-first-order').checked,
+        perCustomerLimit: val('#vpd-limit'),
+      });
+      if (!res.ok) return ui.showToast(res.msg, 2200);
+      ui.$('#form-vendor-promo').reset();
+      showPromoFields();
+      ui.showToast('Discount added', 1200);
+      ui.renderVendorPromos();
+    });
+
+    const btnSaveHours = ui.$('#btn-save-vendor-hours');
+    btnSaveHours && btnSaveHours.addEventListener('click', (ev) => {
+      ev.preventDefault();
+      const u = state.users[state.currentUserId];
+      if (!u || u.role !== 'vendor') return ui.showToast('Login as vendor first', 2000);
+      const vendor = ensureVendorProfile(u);
+      let hours = null;
+      if (hoursEnabled && hoursEnabled.checked) {
+        hours = { weekly: {}, closures: [] };
+        for (const input of ui.$$('#form-vendor-hours .vh-day')) {
+          const res = parseSlots(input.value);
+          if (!res.ok) return ui.showToast(`${WEEKDAYS[input.dataset.day]}: ${res.msg}`, 2600);
+          hours.weekly[input.dataset.day] = res.slots;
+        }
+        const closures = ((ui.$('#vh-closures') && ui.$('#vh-closures').value) || '').split(',').map(d => d.trim()).filter(Boolean);
+        const bad = closures.find(d => !/^\d{4}-\d{2}-\d{2}$/.test(d) || isNaN(new Date(d).getTime()));
+        if (bad) return ui.showToast(`"${bad}" is not a date (use YYYY-MM-DD)`, 2400);
+        hours.closures = Array.from(new Set(closures)).sort();
+      }
+      setVendorHours(vendor.id, hours);
+      document.activeElement && document.activeElement.blur && document.activeElement.blur();
+      ui.showToast('Opening hours saved', 1200);
+      ui.renderAll();
     });
 
     // settings save
+    if (ui.$('#settings-api-url')) ui.$('#settings-api-url').value = settings.apiBaseUrl || '';
+    const otpSelect = ui.$('#settings-otp-provider');
+    if (otpSelect) {
+      const providers = Object.values(otpProviders);
+      setHtml(otpSelect, providers.length
+        ? html`${providers.map(p => html`<option value="${p.name}">${p.label || p.name}</option>`)}`
+        : html`<option value="">None set up — sign in with a PIN</option>`);
+      otpSelect.value = otpProviders[settings.otpProvider] ? settings.otpProvider : providers.length ? providers[0].name : '';
+    }
     const btnSaveSettings = ui.$('#btn-save-settings');
     btnSaveSettings && btnSaveSettings.addEventListener('click', (ev) => {
       ev.preventDefault();
       const notif = ui.$('#settings-notif-mode') && ui.$('#settings-notif-mode').value;
       const radius = Number(ui.$('#settings-radius') && ui.$('#settings-radius').value) || DEFAULT_RADIUS_KM;
+      const apiUrl = ui.$('#settings-api-url') ? ui.$('#settings-api-url').value : settings.apiBaseUrl;
+      const res = connectSync(apiUrl);
+      if (!res.ok) return ui.showToast(res.msg, 2500);
       settings.notificationMode = notif;
       settings.proximityRadiusKm = radius;
+      if (otpSelect && otpSelect.value) settings.otpProvider = otpSelect.value;
       saveSettings();
+      ui.renderCart();
       ui.showToast('Settings saved', 1500);
     });
 
+    // backup & restore
+    const btnBackup = ui.$('#btn-backup-download');
+    btnBackup && btnBackup.addEventListener('click', (ev) => {
+      ev.preventDefault();
+      downloadBackup();
+      ui.showToast('Backup downloaded', 1500);
+    });
+    const showRestore = (restore) => {
+      if (!restore.ok) return ui.showToast(restore.msg, 3000);
+      pendingRestore = restore;
+      ui.renderBackup();
+    };
+    const backupFile = ui.$('#backup-file');
+    backupFile && backupFile.addEventListener('change', async () => {
+      const file = backupFile.files && backupFile.files[0];
+      if (!file) return;
+      try {
+        showRestore(readBackup(await readFileAsText(file)));
+      } catch (e) {
+        ui.showToast('Could not read the file: ' + e.message, 2500);
+      }
+    });
+    const btnAutoBackup = ui.$('#btn-auto-backup-restore');
+    btnAutoBackup && btnAutoBackup.addEventListener('click', (ev) => {
+      ev.preventDefault();
+      showRestore(readBackup(autoBackupText() || ''));
+    });
+
+    const btnDismissCartNotice = ui.$('#btn-dismiss-cart-notice');
+    btnDismissCartNotice && btnDismissCartNotice.addEventListener('click', (ev) => {
+      ev.preventDefault();
+      dismissCartNotices();
+    });
+
+    const paymentSelect = ui.$('#payment-method');
+    paymentSelect && paymentSelect.addEventListener('change', () => {
+      if (!state.currentUserId) return;
+      cart.payment = paymentSelect.value;
+      ui.renderCart();
+    });
+
+    const fulfilmentSelect = ui.$('#fulfilment-type');
+    fulfilmentSelect && fulfilmentSelect.addEventListener('change', () => {
+      if (!state.currentUserId) return;
+      cart.fulfilment = fulfilmentSelect.value;
+      ui.renderCart();
+    });
+
+    const promoInput = ui.$('#promo-code');
+    const btnApplyPromo = ui.$('#btn-apply-promo');
+    btnApplyPromo && btnApplyPromo.addEventListener('click', (ev) => {
+      ev.preventDefault();
+      const res = applyPromoCode(promoInput ? promoInput.value : '');
+      ui.showToast(res.msg, res.ok ? 1400 : 2200);
+      if (res.ok && promoInput) promoInput.value = '';
+    });
+
     // clear cart
     const btnClearCart = ui.$('#btn-clear-cart');
     btnClearCart && btnClearCart.addEventListener('click', (ev) => {
@@ -1210,26 +6132,446 @@
   }
 
   /* -------------------------
-     Login Handler
+     Sign-in & Sessions
      ------------------------- */
 
-  function handleLogin() {
-    const name = (ui.$('#input-name') && ui.$('#input-name').value.trim()) || '';
-    const phone = (ui.$('#input-phone') && ui.$('#input-phone').value.trim()) || '';
-    const roleEls = document.getElementsByName('role');
-    let role = 'customer';
-    for (const r of roleEls) {
-      if (r.checked) { role = r.value; break; }
-    }
-    if (!name || !phone) return ui.showToast('Please enter name and phone/ID', 1600);
-    const user = addUserIfNotExists(name, phone, role);
-    state.currentUserId = user.id;
+  // Accounts are keyed by phone. New numbers register by verifying a one-time code; a PIN can be
+  // set at the same time and used to sign in afterwards. Only salted PBKDF2 hashes of PINs and codes
+  // are kept: user.auth = { pin?: {salt, iterations, hash}, failedAttempts, lockedUntil }, which never
+  // leaves this device (LOCAL_ONLY_FIELDS). With a sync server the PIN is checked there instead, so
+  // its lockout holds on every device; the copy here is for signing in while it can't be reached.
+  // Sessions live on the device (SESSIONS_KEY); each tab remembers which one it uses in sessionStorage,
+  // so a kiosk can keep a vendor tab and a customer tab side by side. With a sync server, a PIN
+  // sign-in also opens a server session there, which is what lets the user's changes be sent.
+  const PIN_PATTERN = /^\d{4,6}$/;
+  const OTP_LENGTH = 6;
+  const OTP_TTL_MS = 5 * 60 * 1000;
+  const OTP_RESEND_MS = 30 * 1000;
+  const OTP_MAX_ATTEMPTS = 5; // per code
+  const MAX_FAILED_ATTEMPTS = 5; // per account, PIN and code failures together
+  const LOCKOUT_MS = 15 * 60 * 1000;
+  const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+  const SESSIONS_KEY = 'sv_sessions_v1';
+  const TAB_SESSION_KEY = 'sv_tab_session';
+  const HASH_ITERATIONS = 100000;
+  const HASH_ITERATIONS_FALLBACK = 10000; // pure-JS PBKDF2 for plain-http LAN pages without crypto.subtle
+
+  const otpChallenges = {}; // phone -> { secret, sentAt, expiresAt, attempts }
+
+  // Delivery of one-time codes is pluggable: { name, label, send(phone, code, ttlMinutes) -> Promise }.
+  // Register an SMS gateway with SV.auth.registerOtpProvider; until one is, codes can't be sent.
+  const otpProviders = {};
+  // Shows the code to whoever is at the screen, so it is only offered in a browser where a developer
+  // opted in: localStorage.setItem('sv_dev_otp', '1'), then reload
+  const DEV_OTP_KEY = 'sv_dev_otp';
+  const TEST_OTP_PROVIDER = {
+    name: 'console',
+    label: 'Show on screen (developer testing)',
+    async send(phone, code, ttlMinutes) {
+      console.info(`[StreetVendor] one-time code for ${phone}: ${code} (valid ${ttlMinutes} min)`);
+      ui.showToast(`Test code for ${phone}: ${code}`, 10000);
+    },
+  };
+
+  function registerOtpProvider(provider) {
+    if (!provider || !provider.name || typeof provider.send !== 'function') throw new Error('An OTP provider needs a name and a send(phone, code, ttlMinutes) function');
+    otpProviders[provider.name] = provider;
+  }
+
+  function normalizePhone(phone) {
+    return String(phone || '').replace(/[\s()-]/g, '');
+  }
+
+  function findUserByPhone(phone) {
+    const p = normalizePhone(phone);
+    return Object.values(state.users || {}).find(u => normalizePhone(u.phone) === p) || null;
+  }
+
+  function randomBytes(n) {
+    return crypto.getRandomValues(new Uint8Array(n));
+  }
+
+  function toHex(bytes) {
+    return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  function randomDigits(n) {
+    return Array.from(randomBytes(n), b => String(b % 10)).join('');
+  }
+
+  // Compare without bailing out at the first different character
+  function constantTimeEqual(a, b) {
+    if (a.length !== b.length) return false;
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    return diff === 0;
+  }
+
+  async function hashNewSecret(secret) {
+    const salt = toHex(randomBytes(16));
+    const iterations = crypto.subtle ? HASH_ITERATIONS : HASH_ITERATIONS_FALLBACK;
+    return { salt, iterations, hash: await pbkdf2Hex(secret, salt, iterations) };
+  }
+
+  async function verifySecret(secret, stored) {
+    if (!stored || !stored.hash) return false;
+    return constantTimeEqual(await pbkdf2Hex(secret, stored.salt, stored.iterations), stored.hash);
+  }
+
+  async function pbkdf2Hex(secret, saltHex, iterations) {
+    const password = new TextEncoder().encode(String(secret));
+    const salt = new Uint8Array(saltHex.match(/../g).map(h => parseInt(h, 16)));
+    if (crypto.subtle) {
+      const key = await crypto.subtle.importKey('raw', password, 'PBKDF2', false, ['deriveBits']);
+      const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, key, 256);
+      return toHex(new Uint8Array(bits));
+    }
+    return toHex(pbkdf2Sha256(password, salt, iterations));
+  }
+
+  // crypto.subtle only exists on https/localhost pages, so phones on the LAN sync server need these
+  const SHA256_K = new Uint32Array([
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+  ]);
+
+  function sha256(bytes) {
+    const len = bytes.length;
+    const padded = new Uint8Array(((len + 72) >> 6) << 6);
+    padded.set(bytes);
+    padded[len] = 0x80;
+    const view = new DataView(padded.buffer);
+    view.setUint32(padded.length - 8, Math.floor(len / 0x20000000));
+    view.setUint32(padded.length - 4, len << 3);
+    const h = new Uint32Array([0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19]);
+    const w = new Uint32Array(64);
+    for (let off = 0; off < padded.length; off += 64) {
+      for (let i = 0; i < 16; i++) w[i] = view.getUint32(off + i * 4);
+      for (let i = 16; i < 64; i++) {
+        const x = w[i - 15],
+          y = w[i - 2];
+        const s0 = ((x >>> 7) | (x << 25)) ^ ((x >>> 18) | (x << 14)) ^ (x >>> 3);
+        const s1 = ((y >>> 17) | (y << 15)) ^ ((y >>> 19) | (y << 13)) ^ (y >>> 10);
+        w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0;
+      }
+      let [a, b, c, d, e, f, g, k] = h;
+      for (let i = 0; i < 64; i++) {
+        const S1 = ((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^ ((e >>> 25) | (e << 7));
+        const t1 = (k + S1 + ((e & f) ^ (~e & g)) + SHA256_K[i] + w[i]) | 0;
+        const S0 = ((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^ ((a >>> 22) | (a << 10));
+        const t2 = (S0 + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+        k = g;
+        g = f;
+        f = e;
+        e = (d + t1) | 0;
+        d = c;
+        c = b;
+        b = a;
+        a = (t1 + t2) | 0;
+      }
+      h[0] += a; h[1] += b; h[2] += c; h[3] += d; h[4] += e; h[5] += f; h[6] += g; h[7] += k;
+    }
+    const out = new Uint8Array(32);
+    const outView = new DataView(out.buffer);
+    h.forEach((v, i) => outView.setUint32(i * 4, v));
+    return out;
+  }
+
+  // One 32-byte block is all we derive, so PBKDF2 is just the chained HMACs of block 1
+  function pbkdf2Sha256(password, salt, iterations) {
+    const key = new Uint8Array(64);
+    key.set(password.length > 64 ? sha256(password) : password);
+    const inner = key.map(b => b ^ 0x36);
+    const outer = key.map(b => b ^ 0x5c);
+    const hmac = (msg) => {
+      const a = new Uint8Array(64 + msg.length);
+      a.set(inner);
+      a.set(msg, 64);
+      const b = new Uint8Array(96);
+      b.set(outer);
+      b.set(sha256(a), 64);
+      return sha256(b);
+    };
+    const first = new Uint8Array(salt.length + 4);
+    first.set(salt);
+    first[first.length - 1] = 1;
+    let u = hmac(first);
+    const t = u.slice();
+    for (let i = 1; i < iterations; i++) {
+      u = hmac(u);
+      for (let j = 0; j < 32; j++) t[j] ^= u[j];
+    }
+    return t;
+  }
+
+  // "Locked — try again in 12 min" while an account is locked, otherwise null
+  function lockoutMessage(user) {
+    const until = user && user.auth && user.auth.lockedUntil;
+    const left = until ? new Date(until).getTime() - Date.now() : 0;
+    if (left <= 0) return null;
+    return `Too many failed attempts — try again in ${Math.ceil(left / 60000)} min`;
+  }
+
+  // auth is never sent anywhere, so changing it is not a sync write
+  function setUserAuth(user, changes) {
+    user.auth = Object.assign({}, user.auth, changes);
+    markDirty('users', user.id);
+    saveState();
+  }
+
+  function recordFailedAttempt(user) {
+    const auth = Object.assign({}, user.auth);
+    auth.failedAttempts = (auth.failedAttempts || 0) + 1;
+    if (auth.failedAttempts >= MAX_FAILED_ATTEMPTS) {
+      auth.lockedUntil = new Date(Date.now() + LOCKOUT_MS).toISOString();
+      auth.failedAttempts = 0;
+    }
+    setUserAuth(user, auth);
+    if (auth.lockedUntil && new Date(auth.lockedUntil).getTime() > Date.now()) {
+      addActivity(`Sign-in locked for ${user.phone} after ${MAX_FAILED_ATTEMPTS} failed attempts`);
+      return { ok: false, msg: lockoutMessage(user) };
+    }
+    const left = MAX_FAILED_ATTEMPTS - auth.failedAttempts;
+    return { ok: false, msg: `That didn't match — ${left} attempt${left === 1 ? '' : 's'} left` };
+  }
+
+  async function signInWithPin(phone, pin) {
+    const user = findUserByPhone(phone);
+    if (!user) return { ok: false, msg: 'No account with that number yet — register with a one-time code' };
+    if (isSyncEnabled()) {
+      const server = await openServerSession(user.id, pin);
+      if (server.ok) {
+        // keep a copy for signing in here while the server can't be reached
+        const known = await verifySecret(pin, user.auth && user.auth.pin);
+        setUserAuth(user, Object.assign({ failedAttempts: 0, lockedUntil: null }, known ? {} : { pin: await hashNewSecret(pin) }));
+        startSession(user.id);
+        return { ok: true, user };
+      }
+      if (server.status === 401 || server.status === 429) return { ok: false, msg: server.msg };
+      // unreachable, or an account the server holds no PIN for: the PIN kept on this device decides
+    }
+    const locked = lockoutMessage(user);
+    if (locked) return { ok: false, msg: locked };
+    if (!user.auth || !user.auth.pin) return { ok: false, msg: 'No PIN set for this account on this device — sign in with a one-time code' };
+    if (!(await verifySecret(pin, user.auth.pin))) return recordFailedAttempt(user);
+    setUserAuth(user, { failedAttempts: 0, lockedUntil: null });
+    startSession(user.id);
+    return { ok: true, user };
+  }
+
+  async function requestOtp(phone) {
+    const p = normalizePhone(phone);
+    if (!/^\+?\d{6,15}$/.test(p)) return { ok: false, msg: 'Enter a valid phone number' };
+    const locked = lockoutMessage(findUserByPhone(p));
+    if (locked) return { ok: false, msg: locked };
+    const previous = otpChallenges[p];
+    const wait = previous ? previous.sentAt + OTP_RESEND_MS - Date.now() : 0;
+    if (wait > 0) return { ok: false, msg: `Wait ${Math.ceil(wait / 1000)} s before asking for another code` };
+    const code = randomDigits(OTP_LENGTH);
+    otpChallenges[p] = { secret: await hashNewSecret(code), sentAt: Date.now(), expiresAt: Date.now() + OTP_TTL_MS, attempts: 0 };
+    const provider = otpProviders[settings.otpProvider] || Object.values(otpProviders)[0];
+    if (!provider) return { ok: false, msg: 'This app has no way to send one-time codes yet — sign in with your PIN' };
+    try {
+      await provider.send(p, code, OTP_TTL_MS / 60000);
+    } catch (e) {
+      delete otpChallenges[p];
+      return { ok: false, msg: `Could not send the code: ${e.message}` };
+    }
+    return { ok: true, msg: `Code sent to ${p}` };
+  }
+
+  // Verifying a code signs in an existing account, or registers the number when it's new.
+  // A valid PIN given alongside is set for a new account or one without a PIN; a code alone
+  // never replaces an existing PIN.
+  async function verifyOtp(phone, code, { name = '', role = 'customer', category = '', pin = '' } = {}) {
+    const p = normalizePhone(phone);
+    let user = findUserByPhone(p);
+    const locked = lockoutMessage(user);
+    if (locked) return { ok: false, msg: locked };
+    if (!user && !cleanText(name)) return { ok: false, msg: 'Enter your name to register' };
+    if (pin && !PIN_PATTERN.test(pin)) return { ok: false, msg: 'PIN must be 4 to 6 digits' };
+    if (pin && user && user.auth && user.auth.pin) return { ok: false, msg: 'This account already has a PIN — sign in with it, or leave the PIN empty' };
+    const challenge = otpChallenges[p];
+    if (!challenge || Date.now() > challenge.expiresAt) return { ok: false, msg: 'That code has expired — send a new one' };
+    if (!(await verifySecret(String(code).trim(), challenge.secret))) {
+      challenge.attempts++;
+      if (challenge.attempts >= OTP_MAX_ATTEMPTS) delete otpChallenges[p];
+      return user ? recordFailedAttempt(user) : { ok: false, msg: 'That code is not right' };
+    }
+    delete otpChallenges[p];
+
+    // hash first, so the new account and its session land in the same sync batch
+    const pinHash = pin ? await hashNewSecret(pin) : null;
+    const created = !user;
+    if (created) {
+      user = putRecord('users', {
+        id: uid('u_'),
+        name: cleanText(name),
+        phone: p,
+        role: role === 'vendor' ? 'vendor' : 'customer',
+        category: cleanText(category),
+        auth: {},
+      });
+    }
+    setUserAuth(user, Object.assign({ failedAttempts: 0, lockedUntil: null, verifiedAt: nowIso() }, pinHash ? { pin: pinHash } : {}));
+    startSession(user.id);
+    if (pin) await openServerSession(user.id, pin);
+    return { ok: true, user, created };
+  }
+
+  function readSessions() {
+    try {
+      return JSON.parse(localStorage.getItem(SESSIONS_KEY)) || {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  function writeSessions(sessions) {
+    try {
+      localStorage.setItem(SESSIONS_KEY, JSON.stringify(sessions));
+    } catch (e) {}
+  }
+
+  function isSessionValid(session) {
+    if (!session || Date.now() >= new Date(session.expiresAt).getTime()) return false;
+    const user = state.users[session.userId];
+    if (!user) return false;
+    // "log out everywhere" ends every session that started before it
+    const revokedAt = user.sessionsRevokedAt;
+    return !revokedAt || session.createdAt > revokedAt;
+  }
+
+  function startSession(userId) {
+    stopLocationTracking(); // afterSignIn restarts it if this account turned it on
+    const sessions = readSessions();
+    for (const id in sessions) if (!isSessionValid(sessions[id])) delete sessions[id];
+    const id = toHex(randomBytes(16));
+    const createdAt = nowIso();
+    sessions[id] = { id, userId, createdAt, expiresAt: new Date(Date.now() + SESSION_TTL_MS).toISOString() };
+    writeSessions(sessions);
+    try {
+      sessionStorage.setItem(TAB_SESSION_KEY, id);
+    } catch (e) {}
+    state.currentUserId = userId;
+    saveState();
+  }
+
+  function currentSession() {
+    let id = null;
+    try {
+      id = sessionStorage.getItem(TAB_SESSION_KEY);
+    } catch (e) {}
+    return id ? readSessions()[id] || null : null;
+  }
+
+  // On load: this tab's session, or for a new tab the latest one on the device
+  function restoreSession() {
+    let session = currentSession();
+    if (!isSessionValid(session)) {
+      const valid = Object.values(readSessions()).filter(isSessionValid);
+      session = valid.find(s => s.userId === state.currentUserId) || valid.sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1))[0] || null;
+    }
+    try {
+      if (session) sessionStorage.setItem(TAB_SESSION_KEY, session.id);
+    } catch (e) {}
+    state.currentUserId = session ? session.userId : null;
+  }
+
+  function endSession() {
+    stopLocationTracking();
+    const session = currentSession();
+    if (session) {
+      const sessions = readSessions();
+      delete sessions[session.id];
+      writeSessions(sessions);
+      // another tab may still be signed in as the same user
+      if (!Object.values(sessions).some(s => s.userId === session.userId && isSessionValid(s))) closeServerSession(session.userId);
+    }
+    try {
+      sessionStorage.removeItem(TAB_SESSION_KEY);
+    } catch (e) {}
+    state.currentUserId = null;
     saveState();
-    addActivity(`Logged in as ${user.name} (${user.role})`);
+  }
+
+  function logoutAllDevices() {
+    const user = state.users[state.currentUserId];
+    if (!user) return { ok: false, msg: 'Not signed in' };
+    updateRecord('users', user.id, { sessionsRevokedAt: nowIso() });
+    const sessions = readSessions();
+    for (const id in sessions) if (sessions[id].userId === user.id) delete sessions[id];
+    writeSessions(sessions);
+    closeServerSession(user.id, true);
+    addActivity(`${user.name} signed out on all devices`);
+    endSession();
+    return { ok: true };
+  }
+
+  // Called periodically and after data from elsewhere arrives: expiry, revocation or a deleted account
+  function checkSession() {
+    if (!state.currentUserId) return;
+    if (isSessionValid(currentSession())) return;
+    endSession();
+    ui.showToast('Your session has ended — please sign in again', 3500);
+    ui.renderAll();
+  }
+
+  function authFormValues() {
+    const val = (sel) => (ui.$(sel) && ui.$(sel).value.trim()) || '';
+    const roleEl = document.querySelector('input[name="role"]:checked');
+    return {
+      name: val('#input-name'),
+      phone: val('#input-phone'),
+      category: val('#input-category'),
+      pin: val('#input-pin'),
+      code: val('#input-otp'),
+      role: roleEl ? roleEl.value : 'customer',
+    };
+  }
+
+  function afterSignIn(user, created) {
+    ['#input-pin', '#input-otp'].forEach(sel => ui.$(sel) && (ui.$(sel).value = ''));
+    ui.$('#otp-row') && ui.$('#otp-row').classList.add('hidden');
+    ui.$('#btn-verify-otp') && ui.$('#btn-verify-otp').classList.add('hidden');
+    ui.renderAuthMessage('');
+    addActivity(`${created ? 'Registered' : 'Logged in'} as ${user.name} (${user.role})`);
     ui.renderAll();
     startProximityMonitor();
   }
 
+  async function handleLogin() {
+    const { phone, pin } = authFormValues();
+    if (!phone || !pin) return ui.renderAuthMessage('Enter your phone number and PIN', true);
+    const res = await signInWithPin(phone, pin);
+    if (!res.ok) return ui.renderAuthMessage(res.msg, true);
+    afterSignIn(res.user, false);
+  }
+
+  async function handleSendOtp() {
+    const { phone } = authFormValues();
+    const res = await requestOtp(phone);
+    ui.renderAuthMessage(res.msg, !res.ok);
+    if (!res.ok) return;
+    ui.$('#otp-row') && ui.$('#otp-row').classList.remove('hidden');
+    ui.$('#btn-verify-otp') && ui.$('#btn-verify-otp').classList.remove('hidden');
+    ui.$('#input-otp') && ui.$('#input-otp').focus();
+  }
+
+  async function handleVerifyOtp() {
+    const f = authFormValues();
+    if (!f.code) return ui.renderAuthMessage('Enter the code you received', true);
+    const res = await verifyOtp(f.phone, f.code, f);
+    if (!res.ok) return ui.renderAuthMessage(res.msg, true);
+    afterSignIn(res.user, res.created);
+  }
+
   /* -------------------------
      Location Helpers
      ------------------------- */
@@ -1253,20 +6595,15 @@
     if (u.role === 'vendor') {
       // find vendor
       const vendor = Object.values(state.vendors).find(v => v.userId === u.id);
-      if (!vendor) {
-        // create vendor profile automatically if missing (for ease)
-        const v = createVendor(u.name, u.category || 'food', { lat: loc.lat, lng: loc.lng }, true, '');
-        addActivity('Created vendor profile for ' + u.name);
-        return (state.vendors[v.id].location = { lat: loc.lat, lng: loc.lng });
-      } else {
-        vendor.location = { lat: loc.lat, lng: loc.lng };
-        vendor.active = true;
-        saveState();
-        return vendor.location;
-      }
+      // create vendor profile automatically if missing (for ease)
+      const v = vendor || ensureVendorProfile(u);
+      updateRecord('vendors', v.id, { location: { lat: loc.lat, lng: loc.lng } });
+      if (!v.active) setVendorActive(v.id, true);
+      saveState();
+      return v.location;
     } else {
       // customer
-      u._lastKnownLocation = { lat: loc.lat, lng: loc.lng };
+      updateRecord('users', u.id, { _lastKnownLocation: { lat: loc.lat, lng: loc.lng } });
       saveState();
       return u._lastKnownLocation;
     }
@@ -1288,8 +6625,14 @@
      Init - setup & initial rendering
      ------------------------- */
 
-  function init() {
-    loadState();
+  async function init() {
+    await loadState();
+    try {
+      if (localStorage.getItem(DEV_OTP_KEY) === '1') registerOtpProvider(TEST_OTP_PROVIDER);
+    } catch (e) {}
+    restoreSession();
+    ui.renderStorageNotice();
+    if (!state.popularity) rebuildPopularity();
     attachEvents();
     ui.renderAll();
 
@@ -1337,42 +6680,80 @@
       });
     });
 
+    // merge what other tabs of this browser save
+    startTabSync();
+
+    // write pending changes before the tab goes away
+    window.addEventListener('pagehide', flushState);
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') flushState();
+      else if (isSyncEnabled()) syncNow();
+    });
+
+    // shared data: push anything queued while offline, then keep polling the sync server
+    if (isSyncEnabled()) syncNow();
+    else setSyncStatus('off');
+
+    // sessions expire or get revoked from another device
+    setInterval(checkSession, 60 * 1000);
+
     // start periodic tasks
     startProximityMonitor();
 
-    // schedule pending orders processing (for those with schedule times)
-    Object.values(state.orders || {}).forEach(o => {
-      if (o.schedule) scheduleOrderProcessing(o.id);
-      else scheduleOrderProcessing(o.id); // immediate ones also handled to notify
-    });
+    // persisted order jobs: catch up anything missed while the page was closed
+    startScheduler();
   }
 
   /* -------------------------
      Expose some utilities for console debugging (optional)
      ------------------------- */
   window.SV = {
-    state,
+    // live reference: state is loaded asynchronously and replaced by the demo loader
+    get state() {
+      return state;
+    },
     settings,
     saveState,
+    flushState,
     loadState,
+    // shared records go through the data layer so they reach the sync server, and only where
+    // the signed-in user may write them (null / false when refused)
+    data: {
+      put: guardedData.put,
+      update: guardedData.update,
+      remove: guardedData.remove,
+      sync: syncNow,
+      connect: connectSync,
+    },
     addProductToVendor,
     createVendor,
     placeOrder,
+    updateOrderStatus,
     cart,
+    can,
+    auth: {
+      registerOtpProvider,
+      requestOtp,
+      verifyOtp,
+      signInWithPin,
+      logout: endSession,
+      logoutAllDevices,
+    },
   };
 
   // Initialize the app
-  init();
+  init().catch((e) => console.error('StreetVendor failed to start', e));
 
   /* -------------------------
      helpers referenced above (avoid hoisting issues)
      ------------------------- */
   function createVendor(name, category, location, active, meta) {
+    if (!can('vendor.create', {})) return null;
     return (function _create() {
       const userId = uid('u_');
-      state.users[userId] = { id: userId, name, phone: 'vendor-' + userId, role: 'vendor', category };
+      putRecord('users', { id: userId, name, phone: 'vendor-' + userId, role: 'vendor', category });
       const vendorId = uid('v_');
-      state.vendors[vendorId] = { id: vendorId, userId, name, category, location: location || null, active: !!active, products: [], orders: [], meta: meta || '' };
+      putRecord('vendors', { id: vendorId, userId, name, category, location: location || null, active: !!active, products: [], orders: [], meta: meta || '' });
       saveState();
       return state.vendors[vendorId];
     })();
@@ -0,0 +1,544 @@
+/* ==========================================================
+   server/server.js — StreetVendor reference sync server
+   A small self-hostable backend for the frontend in ../index.html.
+   - No dependencies: plain Node (18+) http + fs
+   - Records live in one JSON file (SV_DATA_FILE, default ./data/db.json)
+   - Serves the app itself, so http://localhost:8787/ works on any device on the LAN
+
+   Usage:  node server/server.js   (PORT, HOST, SV_DATA_FILE to override)
+   Then set "Sync server" in the app's Settings to http://<this machine>:8787
+
+   API (JSON in, JSON out):
+     POST   /api/sessions                 { userId, pin } -> 201 { token, userId, expiresAt }
+     DELETE /api/sessions                 ends this session; ?all=1 ends every session of the user
+     GET    /api/changes?since=<rev>      records changed after rev: { rev, records: [entry] }
+     POST   /api/batch                    { ops: [{ op: 'put'|'delete', collection, id, baseVersion, data? }] }
+                                          applied all-or-nothing; 409 { conflicts, current } when any
+                                          baseVersion is stale, 403 { error, current } when the user may
+                                          not write one of the records, 200 { rev, results } otherwise
+     GET    /api/:collection              every live record in the collection
+     GET    /api/:collection/:id          one record
+     PUT    /api/:collection/:id          { data, baseVersion }
+     DELETE /api/:collection/:id          ?baseVersion=<n>
+   An entry is { collection, id, version, rev, deleted, data }. version counts writes to the
+   record (0 = never existed) and is what clients send back as baseVersion; rev is the
+   server-wide change counter used for polling.
+
+   Reads are open; every write needs "Authorization: Bearer <token>" from POST /api/sessions and
+   may only touch records the signed-in user owns (see OWNERS); orders and reviews also follow
+   their lifecycle (orderReason, reviewReason), and a customer may move stall stock only by what
+   their own orders take or put back (expectedStock). The PIN is checked here against
+   a salted hash in db.credentials, which is never sent out. An account is claimed by the first
+   session opened for a user id the server has never seen; accounts uploaded before sessions
+   existed have no PIN here and can only be read.
+   ========================================================== */
+
+'use strict';
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+
+const PORT = Number(process.env.PORT) || 8787;
+const HOST = process.env.HOST || '0.0.0.0';
+const DATA_FILE = path.resolve(process.env.SV_DATA_FILE || path.join(__dirname, 'data', 'db.json'));
+const STATIC_ROOT = path.resolve(__dirname, '..');
+const STATIC_FILES = ['index.html', 'script.js', 'style.css'];
+
+const COLLECTIONS = ['users', 'vendors', 'products', 'orders', 'reviews', 'promos'];
+const MAX_BODY_BYTES = 2 * 1024 * 1024; // stall photos are inline data URLs
+const MAX_ID_LENGTH = 100;
+const PIN_PATTERN = /^\d{4,6}$/;
+const HASH_ITERATIONS = 100000;
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCKOUT_MS = 15 * 60 * 1000;
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+// never stored in a record or sent out; credentials are kept apart in db.credentials
+const PRIVATE_FIELDS = { users: ['auth'] };
+
+/* -------------------------
+   File Storage
+   ------------------------- */
+
+// db = { rev, records: { collection: { id: { version, rev, deleted, data, updatedAt } } },
+//        credentials: { userId: { pin: { salt, iterations, hash }, failedAttempts, lockedUntil } },
+//        sessions: { sha256(token): { userId, createdAt, expiresAt } } }
+let db = { rev: 0, records: {}, credentials: {}, sessions: {} };
+let writing = Promise.resolve();
+
+function loadDb() {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+    db = { rev: Number(parsed.rev) || 0, records: parsed.records || {}, credentials: parsed.credentials || {}, sessions: parsed.sessions || {} };
+  } catch (e) {
+    if (e.code !== 'ENOENT') {
+      // never start over on top of a file we couldn't read
+      console.error(`Could not read ${DATA_FILE}: ${e.message}`);
+      process.exit(1);
+    }
+  }
+  for (const c of COLLECTIONS) {
+    db.records[c] = db.records[c] || {};
+    // files written before credentials moved out of the records
+    for (const id in db.records[c]) {
+      const rec = db.records[c][id];
+      if (rec.data) rec.data = withoutPrivateFields(c, rec.data);
+    }
+  }
+}
+
+function withoutPrivateFields(collection, data) {
+  const out = Object.assign({}, data);
+  for (const key of PRIVATE_FIELDS[collection] || []) delete out[key];
+  return out;
+}
+
+// Write to a temp file and rename, so a crash mid-write never leaves half a file behind
+function persistDb() {
+  const text = JSON.stringify(db);
+  writing = writing.then(async () => {
+    await fs.promises.mkdir(path.dirname(DATA_FILE), { recursive: true });
+    const tmp = `${DATA_FILE}.tmp`;
+    await fs.promises.writeFile(tmp, text);
+    await fs.promises.rename(tmp, DATA_FILE);
+  });
+  return writing;
+}
+
+function entryFor(collection, id) {
+  const rec = db.records[collection][id];
+  if (!rec) return { collection, id, version: 0, rev: 0, deleted: true, data: null };
+  return { collection, id, version: rec.version, rev: rec.rev, deleted: !!rec.deleted, data: rec.data };
+}
+
+function liveData(collection, id) {
+  const rec = db.records[collection][id];
+  return rec && !rec.deleted ? rec.data : null;
+}
+
+/* -------------------------
+   Batches
+   ------------------------- */
+
+class HttpError extends Error {
+  constructor(status, message, body) {
+    super(message);
+    this.status = status;
+    this.body = body;
+  }
+}
+
+function validateOp(op, index) {
+  if (!op || (op.op !== 'put' && op.op !== 'delete')) throw new HttpError(400, `ops[${index}]: op must be "put" or "delete"`);
+  if (!COLLECTIONS.includes(op.collection)) throw new HttpError(400, `ops[${index}]: unknown collection "${op.collection}"`);
+  if (typeof op.id !== 'string' || !op.id || op.id.length > MAX_ID_LENGTH) throw new HttpError(400, `ops[${index}]: invalid id`);
+  if (!Number.isInteger(op.baseVersion) || op.baseVersion < 0) throw new HttpError(400, `ops[${index}]: baseVersion must be a whole number`);
+  if (op.op === 'put' && (!op.data || typeof op.data !== 'object' || Array.isArray(op.data))) {
+    throw new HttpError(400, `ops[${index}]: put needs a data object`);
+  }
+  if (op.op === 'put' && op.data.id !== undefined && op.data.id !== op.id) throw new HttpError(400, `ops[${index}]: data.id does not match id`);
+}
+
+// Who may write a record, asked of the stored copy and of the one sent. vendorOwner() also
+// sees stalls created earlier in the same batch.
+const OWNERS = {
+  users: (userId, rec) => rec.id === userId,
+  vendors: (userId, rec) => rec.userId === userId,
+  products: (userId, rec, ops) => vendorOwner(rec.vendorId, ops) === userId,
+  promos: (userId, rec, ops) => vendorOwner(rec.vendorId, ops) === userId,
+  orders: (userId, rec, ops) => rec.customerId === userId || vendorOwner(rec.vendorId, ops) === userId,
+  reviews: (userId, rec) => rec.customerId === userId,
+};
+
+function vendorOwner(vendorId, ops) {
+  const put = ops.find(op => op.op === 'put' && op.collection === 'vendors' && op.id === vendorId);
+  const vendor = put ? put.data : liveData('vendors', vendorId);
+  return vendor ? vendor.userId : undefined;
+}
+
+function normalizePhone(phone) {
+  return String(phone || '').replace(/[\s()-]/g, '');
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Fields whose values differ between two copies of a record (id and version aside)
+function changedFields(before, after) {
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+  return [...keys].filter(key => key !== 'id' && key !== 'version' && !sameValue(before[key], after[key]));
+}
+
+// Placing or calling off an order moves stock on the stall's products, so a customer may change a
+// product's stock (and nothing else) — by exactly what their orders in the same batch take or put back
+function isStockMove(op, stored) {
+  if (op.op !== 'put' || op.collection !== 'products' || !stored) return false;
+  return changedFields(stored, op.data).every(key => key === 'stock');
+}
+
+// A new pending order takes each item's qty; calling one off puts back what it took, once (stockRestored)
+function expectedStock(userId, productId, stored, ops) {
+  if (typeof stored.stock !== 'number') return stored.stock;
+  let stock = stored.stock;
+  for (const o of ops) {
+    if (o.op !== 'put' || o.collection !== 'orders' || o.data.customerId !== userId) continue;
+    const before = liveData('orders', o.id);
+    const lines = (order) => (Array.isArray(order.items) ? order.items : []).filter(it => it && it.productId === productId);
+    if (!before && o.data.status === 'pending') {
+      for (const it of lines(o.data)) stock -= Number(it.qty) || 0;
+    } else if (before && before.customerId === userId && o.data.status === 'cancelled' && !before.stockRestored && o.data.stockRestored) {
+      for (const it of lines(before)) stock += Number(it.stockTaken) || 0;
+    }
+  }
+  return stock;
+}
+
+// Order lifecycle, as ORDER_TRANSITIONS in script.js has it: the customer places an order (pending,
+// unpaid) and may only call it off while it is pending; the stall moves it on and keeps its payment
+const ORDER_TRANSITIONS = {
+  pending: ['accepted', 'cancelled', 'rejected'],
+  accepted: ['ready', 'rejected'],
+  ready: ['completed'],
+  completed: [],
+  cancelled: [],
+  rejected: [],
+};
+const CUSTOMER_STATUSES = ['cancelled'];
+// Who may change each field of a placed order; fields not listed never change after placing
+const ORDER_FIELD_ROLES = {
+  history: 'either',
+  stockRestored: 'either',
+  schedule: 'customer',
+  reviewId: 'customer',
+  completedAt: 'vendor',
+  rejectionReason: 'vendor',
+  payment: 'vendor',
+};
+
+function orderReason(userId, op, stored, ops) {
+  if (op.op === 'delete') return stored ? 'can\'t be deleted' : null;
+  const order = op.data;
+  if (!stored) {
+    if (order.customerId !== userId) return 'can only be placed by its customer';
+    if (order.status !== 'pending') return 'must be placed as pending';
+    if (order.payment && order.payment.status !== 'unpaid') return 'must be placed unpaid';
+    if (order.reviewId || order.stockRestored || order.completedAt) return 'must be placed as a new order';
+    return null;
+  }
+  const isCustomer = stored.customerId === userId;
+  const isVendor = vendorOwner(stored.vendorId, ops) === userId;
+  for (const key of changedFields(stored, order)) {
+    if (key === 'status') {
+      if (!(ORDER_TRANSITIONS[stored.status] || []).includes(order.status)) return `can't go from ${stored.status} to ${order.status}`;
+      if (!(CUSTOMER_STATUSES.includes(order.status) ? isCustomer : isVendor)) return `can't be marked ${order.status} by this user`;
+      continue;
+    }
+    const role = ORDER_FIELD_ROLES[key];
+    if (!role) return `can't change ${key} after it is placed`;
+    if (!(role === 'customer' ? isCustomer : role === 'vendor' ? isVendor : isCustomer || isVendor)) return `${key} can only be changed by the ${role}`;
+  }
+  return null;
+}
+
+// One review per completed order, by the customer who placed it
+function reviewReason(userId, op) {
+  if (op.op === 'delete') return null;
+  const review = op.data;
+  const order = liveData('orders', review.orderId);
+  if (!order || order.customerId !== userId || order.status !== 'completed') return 'needs a completed order of this customer';
+  if (review.vendorId !== order.vendorId) return 'is for a different stall than its order';
+  if (order.reviewId && order.reviewId !== op.id) return 'is for an order that already has a review';
+  const other = Object.keys(db.records.reviews).find(id => id !== op.id && liveData('reviews', id) && liveData('reviews', id).orderId === review.orderId);
+  if (other) return 'is for an order that already has a review';
+  if (!Number.isInteger(review.rating) || review.rating < 1 || review.rating > 5) return 'needs a rating of 1 to 5';
+  return null;
+}
+
+// Why userId may not apply this op, or null when it may
+function forbiddenReason(userId, op, ops) {
+  const owns = OWNERS[op.collection];
+  const stored = liveData(op.collection, op.id);
+  if (isStockMove(op, stored) && !owns(userId, stored, ops)) {
+    const expected = expectedStock(userId, op.id, stored, ops);
+    return op.data.stock === expected && !(expected < 0) ? null : 'stock doesn\'t match what the orders in this batch take or put back';
+  }
+  if (stored && !owns(userId, stored, ops)) return 'belongs to someone else';
+  if (op.op === 'put' && !owns(userId, Object.assign({}, op.data, { id: op.id }), ops)) return 'would belong to someone else';
+  if (op.collection === 'orders') return orderReason(userId, op, stored, ops);
+  if (op.collection === 'reviews') return reviewReason(userId, op);
+  if (op.op === 'put' && op.collection === 'users') {
+    const phone = normalizePhone(op.data.phone);
+    const taken = phone && Object.keys(db.records.users).some(id => id !== op.id && liveData('users', id) && normalizePhone(liveData('users', id).phone) === phone);
+    if (taken) return 'uses a phone number that already has an account';
+  }
+  return null;
+}
+
+// All ops are checked against the stored versions first; nothing is written unless every one matches
+async function applyBatch(ops, userId) {
+  if (!Array.isArray(ops) || !ops.length) throw new HttpError(400, 'ops must be a non-empty array');
+  ops.forEach(validateOp);
+
+  const conflicts = [];
+  for (const op of ops) {
+    const current = entryFor(op.collection, op.id);
+    if (current.version !== op.baseVersion) conflicts.push({ collection: op.collection, id: op.id, baseVersion: op.baseVersion, version: current.version });
+  }
+  if (conflicts.length) {
+    // the client gets the server copy of everything it touched so it can roll the whole batch back
+    const current = ops.map(op => entryFor(op.collection, op.id));
+    throw new HttpError(409, 'Conflict', { error: 'conflict', conflicts, current });
+  }
+
+  const forbidden = [];
+  for (const op of ops) {
+    const reason = forbiddenReason(userId, op, ops);
+    if (reason) forbidden.push({ collection: op.collection, id: op.id, reason });
+  }
+  if (forbidden.length) {
+    // like a conflict, the client gets the server copies so it can roll the batch back
+    const first = forbidden[0];
+    const current = ops.map(op => entryFor(op.collection, op.id));
+    throw new HttpError(403, `${first.collection}/${first.id} ${first.reason}`, { error: `${first.collection}/${first.id} ${first.reason}`, forbidden, current });
+  }
+
+  const results = [];
+  const updatedAt = new Date().toISOString();
+  for (const op of ops) {
+    const prev = db.records[op.collection][op.id];
+    const version = (prev ? prev.version : 0) + 1;
+    db.rev += 1;
+    const data = op.op === 'put' ? Object.assign(withoutPrivateFields(op.collection, op.data), { id: op.id, version }) : null;
+    db.records[op.collection][op.id] = { version, rev: db.rev, deleted: op.op === 'delete', data, updatedAt };
+    results.push(entryFor(op.collection, op.id));
+  }
+  await persistDb();
+  return { rev: db.rev, results };
+}
+
+function changesSince(since) {
+  const records = [];
+  for (const c of COLLECTIONS) {
+    for (const id in db.records[c]) {
+      if (db.records[c][id].rev > since) records.push(entryFor(c, id));
+    }
+  }
+  records.sort((a, b) => a.rev - b.rev);
+  return { rev: db.rev, records };
+}
+
+/* -------------------------
+   Sessions
+   ------------------------- */
+
+const pbkdf2 = util.promisify(crypto.pbkdf2);
+
+async function hashPin(pin, saltHex, iterations) {
+  return (await pbkdf2(String(pin), Buffer.from(saltHex, 'hex'), iterations, 32, 'sha256')).toString('hex');
+}
+
+// Only a hash of each token is stored, so the data file can't be used to sign in
+function tokenKey(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function lockedForMs(cred) {
+  return cred.lockedUntil ? Math.max(0, new Date(cred.lockedUntil).getTime() - Date.now()) : 0;
+}
+
+// Check the PIN (or set it, for a user id the server has never seen) and hand out a token
+async function openSession(body) {
+  const { userId, pin: rawPin } = body || {};
+  const pin = String(rawPin || '');
+  if (typeof userId !== 'string' || !userId || userId.length > MAX_ID_LENGTH) throw new HttpError(400, 'userId is required');
+  if (!PIN_PATTERN.test(pin)) throw new HttpError(400, 'PIN must be 4 to 6 digits');
+
+  const cred = db.credentials[userId];
+  if (!cred) {
+    if (db.records.users[userId]) throw new HttpError(403, 'This account has no PIN on the sync server, so it can only be read');
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = await hashPin(pin, salt, HASH_ITERATIONS);
+    if (db.credentials[userId]) throw new HttpError(409, 'This account was claimed a moment ago');
+    db.credentials[userId] = { pin: { salt, iterations: HASH_ITERATIONS, hash }, failedAttempts: 0, lockedUntil: null };
+  } else {
+    const locked = lockedForMs(cred);
+    if (locked) throw new HttpError(429, `Too many failed attempts — try again in ${Math.ceil(locked / 60000)} min`);
+    cred.lockedUntil = null; // a lockout that has run out
+    const hash = await hashPin(pin, cred.pin.salt, cred.pin.iterations);
+    if (!crypto.timingSafeEqual(Buffer.from(hash, 'hex'), Buffer.from(cred.pin.hash, 'hex'))) {
+      cred.failedAttempts = (cred.failedAttempts || 0) + 1;
+      if (cred.failedAttempts >= MAX_FAILED_ATTEMPTS) {
+        cred.lockedUntil = new Date(Date.now() + LOCKOUT_MS).toISOString();
+        cred.failedAttempts = 0;
+      }
+      await persistDb();
+      throw new HttpError(401, lockedForMs(cred) > 0 ? `Too many failed attempts — try again in ${Math.ceil(LOCKOUT_MS / 60000)} min` : 'Wrong PIN');
+    }
+    cred.failedAttempts = 0;
+    cred.lockedUntil = null;
+  }
+
+  const now = Date.now();
+  for (const key in db.sessions) if (new Date(db.sessions[key].expiresAt).getTime() <= now) delete db.sessions[key];
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(now + SESSION_TTL_MS).toISOString();
+  db.sessions[tokenKey(token)] = { userId, createdAt: new Date(now).toISOString(), expiresAt };
+  await persistDb();
+  return { token, userId, expiresAt };
+}
+
+// { key, userId } for a valid "Authorization: Bearer <token>", otherwise a 401
+function requireSession(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+  const key = match && tokenKey(match[1]);
+  const session = key && db.sessions[key];
+  if (!session || new Date(session.expiresAt).getTime() <= Date.now()) throw new HttpError(401, 'Sign in to make changes');
+  return { key, userId: session.userId };
+}
+
+async function endSessions(session, everywhere) {
+  for (const key in db.sessions) {
+    if (key === session.key || (everywhere && db.sessions[key].userId === session.userId)) delete db.sessions[key];
+  }
+  await persistDb();
+}
+
+/* -------------------------
+   HTTP
+   ------------------------- */
+
+function send(res, status, body) {
+  const text = JSON.stringify(body);
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Cache-Control': 'no-store',
+  });
+  res.end(text);
+}
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        // the rest is read and dropped so the 413 can still be sent
+        chunks.length = 0;
+        reject(new HttpError(413, 'Request body too large'));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (size > MAX_BODY_BYTES) return;
+      try {
+        resolve(chunks.length ? JSON.parse(Buffer.concat(chunks).toString('utf8')) : {});
+      } catch (e) {
+        reject(new HttpError(400, 'Body is not valid JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+const CONTENT_TYPES = { '.html': 'text/html; charset=utf-8', '.js': 'text/javascript; charset=utf-8', '.css': 'text/css; charset=utf-8' };
+
+function serveStatic(res, pathname) {
+  const name = pathname === '/' ? 'index.html' : pathname.slice(1);
+  // only the app's own files; nothing else under the repo is exposed
+  if (!STATIC_FILES.includes(name)) return send(res, 404, { error: 'Not found' });
+  fs.readFile(path.join(STATIC_ROOT, name), (err, buf) => {
+    if (err) return send(res, 404, { error: 'Not found' });
+    res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(name)] });
+    res.end(buf);
+  });
+}
+
+function decodePathPart(part) {
+  try {
+    return decodeURIComponent(part);
+  } catch (e) {
+    throw new HttpError(400, 'Malformed path');
+  }
+}
+
+async function handleApi(req, res, url) {
+  const parts = url.pathname.split('/').filter(Boolean).slice(1).map(decodePathPart); // drop "api"
+  const [first, id] = parts;
+
+  if (first === 'sessions' && parts.length === 1) {
+    if (req.method === 'POST') return send(res, 201, await openSession(await readJson(req)));
+    if (req.method === 'DELETE') {
+      await endSessions(requireSession(req), url.searchParams.get('all') === '1');
+      return send(res, 200, { ok: true });
+    }
+    throw new HttpError(405, 'Method not allowed');
+  }
+  if (first === 'changes' && parts.length === 1 && req.method === 'GET') {
+    return send(res, 200, changesSince(Number(url.searchParams.get('since')) || 0));
+  }
+  if (first === 'batch' && parts.length === 1 && req.method === 'POST') {
+    const session = requireSession(req);
+    const body = await readJson(req);
+    return send(res, 200, await applyBatch(body.ops, session.userId));
+  }
+  if (!COLLECTIONS.includes(first) || parts.length > 2) throw new HttpError(404, 'Not found');
+
+  if (parts.length === 1) {
+    if (req.method !== 'GET') throw new HttpError(405, 'Method not allowed');
+    const records = Object.keys(db.records[first]).map(rid => entryFor(first, rid)).filter(e => !e.deleted);
+    return send(res, 200, { rev: db.rev, records });
+  }
+
+  if (req.method === 'GET') {
+    const entry = entryFor(first, id);
+    return entry.deleted ? send(res, 404, { error: 'Not found' }) : send(res, 200, entry);
+  }
+  if (req.method === 'PUT') {
+    const session = requireSession(req);
+    const body = await readJson(req);
+    const out = await applyBatch([{ op: 'put', collection: first, id, baseVersion: Number(body.baseVersion) || 0, data: body.data }], session.userId);
+    return send(res, 200, out.results[0]);
+  }
+  if (req.method === 'DELETE') {
+    const session = requireSession(req);
+    const out = await applyBatch([{ op: 'delete', collection: first, id, baseVersion: Number(url.searchParams.get('baseVersion')) || 0 }], session.userId);
+    return send(res, 200, out.results[0]);
+  }
+  throw new HttpError(405, 'Method not allowed');
+}
+
+const server = http.createServer(async (req, res) => {
+  // the app may be opened from a different origin (e.g. GitHub Pages) and pointed here
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    return res.end();
+  }
+
+  const url = new URL(req.url, 'http://localhost');
+  try {
+    if (url.pathname === '/api' || url.pathname.startsWith('/api/')) await handleApi(req, res, url);
+    else if (req.method === 'GET') serveStatic(res, url.pathname);
+    else send(res, 405, { error: 'Method not allowed' });
+  } catch (e) {
+    if (e instanceof HttpError) {
+      // don't wait for the rest of an oversized body on this connection
+      if (e.status === 413) res.setHeader('Connection', 'close');
+      return send(res, e.status, e.body || { error: e.message });
+    }
+    console.error(e);
+    send(res, 500, { error: 'Internal error' });
+  }
+});
+
+loadDb();
+server.listen(PORT, HOST, () => {
+  console.log(`StreetVendor sync server on http://${HOST}:${PORT} (data: ${DATA_FILE})`);
+});